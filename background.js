@@ -3,30 +3,73 @@
 // Message protocol (any-source, any-target):
 //
 //   {source}.js → background:     { type: "CAPTURE", transcript: "...", targetModel: "claude"|..., sourceModel: "chatgpt"|..., conversationId: "..." }
+//   {source}.js → background:     { type: "CAPTURE_ALL", transcript: "...", targetModels: ["claude", ...], sourceModel: "chatgpt"|..., conversationId: "..." }
+//   {source}.js → background:     { type: "CAPTURE_CONSENSUS", transcript: "...", targetModels: [...], judgeModel: "claude"|..., sourceModel, conversationId }
 //   {source}.js → background:     { type: "GET_MODELS", sourceModel: "chatgpt"|... }  → sendResponse with filtered model list
+//   {source}.js → background:     { type: "GET_MODES" }                         → sendResponse { modes: [{ key, name, description }] }
+//   {source}.js → background:     { type: "RUN_MODE", mode: "factcheck"|..., transcript, targetModel, sourceModel, conversationId }
+//   popup.js    → background:     { type: "HISTORY_RESEND", historyId, targetModel }  → sendResponse { ok }
+//   popup.js    → background:     { type: "HISTORY_DELETE", historyId }               → sendResponse { ok }
+//   popup.js    → background:     { type: "MEMORY_ROLLBACK", conversationId, takenAt } → sendResponse { ok }
+//   popup.js    → background:     { type: "FREE_STORAGE" }                      → sendResponse { freed } or { error }
+//   ui-inject   → background:     { type: "PROJECTS_GET" }                      → sendResponse { projects: [{ id, name, count }], activeId } or { error }
+//   ui-inject   → background:     { type: "PROJECT_CREATE", name }              → sendResponse { id, error }
+//   ui-inject   → background:     { type: "PROJECT_SELECT", projectId|null }    → sendResponse { activeId } or { error }
+//   ui-inject   → background:     { type: "LINK_OPTIONS", conversationId }      → sendResponse { memories: [{ id, topic, updated_at }], linkedTo } or { error }
+//   ui-inject   → background:     { type: "LINK_SET", conversationId, memoryId|null } → sendResponse { ok, error }
 //   {target}.js → background:     { type: "{MODEL}_READY" }    (e.g. CLAUDE_READY, CHATGPT_READY, ...)
 //   background → {target}.js:     { type: "INJECT", contextBlock: "..." }   ← sendResponse
 //   {target}.js → background:     { type: "{MODEL}_RESPONSE",  content: "..." }
 //   background → {source}.js:     { type: "INJECT_CRITIQUE",   content: "..." }        ← tabs.sendMessage
+//   background → {source}.js:     { type: "FANOUT_RESULTS",    fanOutId, results: [...] } ← tabs.sendMessage
 //
-// State lifecycle:
+//   {target}.js → background:     { type: "TARGET_SUBMITTED" }   (prompt sent, now waiting for the reply)
+//   {target}.js → background:     { type: "TARGET_FAILED", error: "..." }
+//   background → {source}.js:     { type: "STATUS_UPDATE", status: "opening"|"waiting"|"done"|"failed"|"warning", detail }
 //
-//   pendingContext[targetTabId] = { contextBlock, sourceTabId, conversationId }
-//     Set:     when handleCapture opens the target AI tab
-//     Cleared: when {MODEL}_READY is received (context delivered)
+// State lifecycle (see utils/jobs.js — persisted in chrome.storage.session):
 //
-//   pendingReview[targetTabId] = { sourceTabId, conversationId }
-//     Set:     when {MODEL}_READY is received
-//     Cleared: when {MODEL}_RESPONSE is received (critique sent back)
+//   job (one per target tab) = { kind, modelKey, sourceTabId, targetTabId, conversationId, groupId, historyId, contextBlock, state }
+//     opening   Set when handleCapture / handleReplay / handleMode / handleCaptureAll opens the target AI tab
+//     injected  {MODEL}_READY received, context block delivered
+//     waiting   TARGET_SUBMITTED received
+//     done      {MODEL}_RESPONSE received (critique / results sent back)
+//     failed    timeout (sweepJobs), target tab closed or TARGET_FAILED → STATUS_UPDATE "failed"
+//
+//   group[fanOutId] = { sourceTabId, sourceModel, conversationId, transcript, judgeKey, stage,
+//                       results: { modelKey → { name, status, reply } } }
+//     Set:     when handleCaptureAll opens several target tabs at once (jobs of kind "fanout")
+//     Cleared: when every target has replied or failed (results panel complete)
+//
+//     Consensus groups (judgeKey set) run in two stages:
+//       "collecting" — targets answer; replies land in results
+//       "judging"    — a "judge" job gets buildJudgePrompt(...) and its reply
+//                      is sent back to the source as a single INJECT_CRITIQUE.
+//
+//   Every job also has a transfer history entry (utils/history.js), created
+//   with the job and completed with the parsed reply or the failure reason.
+//   Every memory update merged from a reply is snapshotted (utils/timeline.js)
+//   so the popup can show what each hop changed and roll back to it.
 
 importScripts("utils/models.js");
 importScripts("utils/format.js");
+importScripts("utils/compress.js");
+importScripts("utils/similarity.js");
 importScripts("utils/memory.js");
+importScripts("utils/extract.js");
 importScripts("utils/summarize-generic.js");
 importScripts("utils/replay-prompt.js");
-
-var pendingContext = {}; // targetTabId → { contextBlock, sourceTabId, conversationId }
-var pendingReview  = {}; // targetTabId → { sourceTabId, conversationId }
+importScripts("utils/judge-prompt.js");
+importScripts("utils/jobs.js");
+importScripts("utils/history.js");
+importScripts("utils/timeline.js");
+importScripts("utils/settings.js");
+importScripts("utils/templates.js");
+importScripts("utils/modes.js");
+importScripts("utils/retention.js");
+importScripts("utils/entities.js");
+importScripts("utils/links.js");
+importScripts("utils/projects.js");
 
 // ─── Vault context (global user preferences) ────────────────────────────────
 
@@ -58,6 +101,7 @@ function prependVaultBlock(contextBlock, vaultText) {
 // ─── Status updates to source tab ──────────────────────────────────────────
 
 function sendStatusUpdate(sourceTabId, status, detail) {
+  if (!sourceTabId) return; // transfer started from the popup
   chrome.tabs.sendMessage(sourceTabId, {
     type:   "STATUS_UPDATE",
     status: status,
@@ -67,6 +111,15 @@ function sendStatusUpdate(sourceTabId, status, detail) {
   });
 }
 
+// Rejection handler for a transfer that fails before its target tab opens,
+// e.g. when attaching the thread to a project hits the storage quota.
+function failTransfer(sourceTabId) {
+  return function (err) {
+    console.error("[DuperMemory] Transfer failed:", err);
+    sendStatusUpdate(sourceTabId, "failed", (err && err.message) || "the transfer could not start");
+  };
+}
+
 // ─── Message handler ──────────────────────────────────────────────────────────
 
 chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
@@ -78,150 +131,783 @@ chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
     return false;
   }
 
+  // Captures and replays use the active project's memory, if any
+  // (resolveConversationId in utils/projects.js).
+
   // ── CAPTURE — any source content script sends a transcript with a target model ──
   if (message.type === "CAPTURE") {
-    handleCapture(message.transcript, message.targetModel, message.conversationId, senderTabId);
+    jobsReady.then(function () {
+      return resolveConversationId(message.conversationId);
+    }).then(function (convId) {
+      return handleCapture(message.transcript, message.targetModel, convId, senderTabId, message.sourceModel);
+    }).catch(failTransfer(senderTabId));
+    return false;
+  }
+
+  // ── CAPTURE_ALL — fan the same transcript out to several target models ──
+  if (message.type === "CAPTURE_ALL") {
+    jobsReady.then(function () {
+      return resolveConversationId(message.conversationId);
+    }).then(function (convId) {
+      return handleCaptureAll(message.transcript, message.targetModels, message.sourceModel, convId, senderTabId, null);
+    }).catch(failTransfer(senderTabId));
+    return false;
+  }
+
+  // ── CAPTURE_CONSENSUS — fan out, then have a judge model reconcile ──────
+  if (message.type === "CAPTURE_CONSENSUS") {
+    jobsReady.then(function () {
+      return resolveConversationId(message.conversationId);
+    }).then(function (convId) {
+      return handleCaptureAll(message.transcript, message.targetModels, message.sourceModel, convId, senderTabId, message.judgeModel);
+    }).catch(failTransfer(senderTabId));
     return false;
   }
 
   // ── REPLAY_CONVERSATION — raw transcript replay flow ────────────────────
   if (message.type === "REPLAY_CONVERSATION") {
-    handleReplay(message.transcript, message.targetModel, message.conversationId, senderTabId);
+    jobsReady.then(function () {
+      return resolveConversationId(message.conversationId);
+    }).then(function (convId) {
+      return handleReplay(message.transcript, message.targetModel, convId, senderTabId, message.sourceModel);
+    }).catch(failTransfer(senderTabId));
     return false;
   }
 
+  // ── GET_MODES — widget fills its mode picker ────────────────────────────
+  if (message.type === "GET_MODES") {
+    sendResponse({ modes: getModeList() });
+    return false;
+  }
+
+  // ── RUN_MODE — transfer with one of the modes in utils/modes.js ─────────
+  if (message.type === "RUN_MODE") {
+    jobsReady.then(function () {
+      return resolveConversationId(message.conversationId);
+    }).then(function (convId) {
+      return handleMode(message.mode, message.transcript, message.targetModel, convId, senderTabId, message.sourceModel);
+    }).catch(failTransfer(senderTabId));
+    return false;
+  }
+
+  // ── LINK_OPTIONS — widget lists memories this thread can be linked to ───
+  if (message.type === "LINK_OPTIONS") {
+    listLinkOptions(message.conversationId).then(sendResponse, function (err) {
+      console.error("[DuperMemory] Listing link options failed:", err);
+      sendResponse({ error: err.message });
+    });
+    return true;
+  }
+
+  // ── LINK_SET — widget links this thread to a memory (null = unlink) ─────
+  if (message.type === "LINK_SET") {
+    var linking = message.memoryId
+      ? linkConversation(message.conversationId, message.memoryId)
+      : unlinkConversation(message.conversationId).then(function () { return true; });
+    linking.then(function (ok) {
+      sendResponse({ ok: ok });
+    }, function (err) {
+      console.error("[DuperMemory] Link failed:", err);
+      sendResponse({ ok: false, error: err.message });
+    });
+    return true;
+  }
+
+  // ── PROJECTS_GET — widget lists projects for its picker ─────────────────
+  if (message.type === "PROJECTS_GET") {
+    readProjects().then(function (state) {
+      var list = [];
+      for (var id in state.projects) {
+        var project = state.projects[id];
+        list.push({ id: project.id, name: project.name, count: project.conversations.length });
+      }
+      list.sort(function (a, b) { return a.name.localeCompare(b.name); });
+      sendResponse({ projects: list, activeId: state.activeId });
+    }, function (err) {
+      console.error("[DuperMemory] Reading projects failed:", err);
+      sendResponse({ error: err.message });
+    });
+    return true;
+  }
+
+  // ── PROJECT_CREATE — widget creates a project and makes it active ───────
+  if (message.type === "PROJECT_CREATE") {
+    var projectName = String(message.name || "").trim();
+    if (!projectName) {
+      sendResponse({ id: null });
+      return false;
+    }
+    createProject(projectName).then(function (project) {
+      sendResponse({ id: project.id });
+    }, function (err) {
+      console.error("[DuperMemory] Creating the project failed:", err);
+      sendResponse({ id: null, error: err.message });
+    });
+    return true;
+  }
+
+  // ── PROJECT_SELECT — widget switches the active project (null = none) ───
+  if (message.type === "PROJECT_SELECT") {
+    setActiveProject(message.projectId).then(function (activeId) {
+      sendResponse({ activeId: activeId });
+    }, function (err) {
+      console.error("[DuperMemory] Switching projects failed:", err);
+      sendResponse({ error: err.message });
+    });
+    return true;
+  }
+
+  // ── HISTORY_RESEND — popup re-runs a logged transfer against a new target ──
+  if (message.type === "HISTORY_RESEND") {
+    jobsReady.then(function () {
+      return resendHistoryEntry(message.historyId, message.targetModel);
+    }).then(function (ok) {
+      sendResponse({ ok: ok });
+    });
+    return true;
+  }
+
+  // ── HISTORY_DELETE — popup removes a logged transfer ────────────────────
+  if (message.type === "HISTORY_DELETE") {
+    deleteHistoryEntry(message.historyId).then(function (ok) {
+      sendResponse({ ok: ok });
+    });
+    return true;
+  }
+
+  // ── MEMORY_ROLLBACK — popup restores a conversation memory snapshot ─────
+  if (message.type === "MEMORY_ROLLBACK") {
+    rollbackToSnapshot(message.conversationId, message.takenAt).then(function (memory) {
+      sendResponse({ ok: !!memory });
+    }, function (err) {
+      console.warn("[DuperMemory] Rollback failed:", err);
+      sendResponse({ ok: false });
+    });
+    return true;
+  }
+
+  // ── FREE_STORAGE — a popup write hit the quota; the worker frees space ──
+  if (message.type === "FREE_STORAGE") {
+    freeStorageSpace().then(function (freed) {
+      sendResponse({ freed: freed });
+    }, function (err) {
+      console.warn("[DuperMemory] Freeing storage failed:", err);
+      sendResponse({ error: err.message });
+    });
+    return true;
+  }
+
   // ── {MODEL}_READY — target content script signals it's loaded ───────────
+  // The job store may still be rehydrating after a worker restart, so the
+  // response is sent asynchronously.
   var readyModel = getModelByMessageType(message.type);
   if (readyModel && message.type === readyModel.readyType) {
-    if (senderTabId && pendingContext[senderTabId]) {
-      var pending = pendingContext[senderTabId];
-      delete pendingContext[senderTabId];
-
-      pendingReview[senderTabId] = {
-        sourceTabId:    pending.sourceTabId,
-        conversationId: pending.conversationId,
-      };
-
-      sendResponse({ type: "INJECT", contextBlock: pending.contextBlock, conversationId: pending.conversationId });
-      sendStatusUpdate(pending.sourceTabId, "waiting");
-    } else {
-      sendResponse(null); // Regular visit, no pending context.
-    }
+    jobsReady.then(function () {
+      var job = findJobByTargetTab(senderTabId);
+      if (!job || job.state !== "opening") {
+        sendResponse(null); // Regular visit, no pending context.
+        return;
+      }
+
+      sendResponse({ type: "INJECT", contextBlock: job.contextBlock, conversationId: job.conversationId });
+
+      // The context block has been delivered; no need to keep it in storage.
+      setJobState(job, "injected", { contextBlock: "" });
+
+      if (job.kind === "fanout") {
+        setFanOutStatus(job.groupId, job.modelKey, "waiting", "");
+      } else if (job.kind === "judge") {
+        sendStatusUpdate(job.sourceTabId, "waiting", "the judge");
+      } else {
+        sendStatusUpdate(job.sourceTabId, "waiting");
+      }
+    });
+    return true;
+  }
+
+  // ── TARGET_SUBMITTED — target sent the prompt, reply is being generated ──
+  if (message.type === "TARGET_SUBMITTED") {
+    jobsReady.then(function () {
+      var job = findJobByTargetTab(senderTabId);
+      if (job && job.state === "injected") setJobState(job, "waiting");
+    });
+    return false;
+  }
+
+  // ── TARGET_FAILED — target could not inject, submit or read its reply ───
+  if (message.type === "TARGET_FAILED") {
+    jobsReady.then(function () {
+      var job = findJobByTargetTab(senderTabId);
+      if (job) failJob(job, message.error || "target error");
+    });
     return false;
   }
 
   // ── {MODEL}_RESPONSE — target content script sends its response ─────────
   var respModel = getModelByMessageType(message.type);
   if (respModel && message.type === respModel.responseType) {
-    if (senderTabId && pendingReview[senderTabId]) {
-      var review = pendingReview[senderTabId];
-      delete pendingReview[senderTabId];
+    jobsReady.then(function () {
+      var job = findJobByTargetTab(senderTabId);
+      if (!job) return;
+      setJobState(job, "done");
 
       // Parse the target's response: split conversational reply from memory update.
       var parsed = parseTargetResponse(message.content);
 
-      // If the target AI included a memory update, merge it into central memory.
-      if (parsed.memoryUpdate && review.conversationId) {
-        readMemory(review.conversationId).then(function (memory) {
-          var merged = mergeMemory(memory, parsed.memoryUpdate);
-          return writeMemory(merged);
+      updateHistoryEntry(job.historyId, {
+        status:        "done",
+        completed_at:  new Date().toISOString(),
+        target_url:    (sender.tab && sender.tab.url) || "",
+        reply:         parsed.reply,
+        memory_update: parsed.memoryUpdate,
+      });
+
+      // If the target AI included a memory update, merge it into central
+      // memory. Modes without memory never asked for one.
+      var keepsMemory = job.kind !== "mode" || (MODE_REGISTRY[job.mode] && MODE_REGISTRY[job.mode].memory);
+      if (parsed.memoryUpdate && job.conversationId && keepsMemory) {
+        // Queued per conversation so concurrent replies never overwrite each other.
+        // Each merged hop is snapshotted for the popup timeline / rollback.
+        readSettings().then(function (settings) {
+          return updateMemory(job.conversationId, function (memory) {
+            mergeMemory(memory, parsed.memoryUpdate, {
+              model:    respModel.key,
+              replyId:  job.historyId,
+              settings: settings,
+            });
+          });
+        }).then(function (memory) {
+          return recordSnapshot(memory, { model: respModel.key, replyId: job.historyId });
         }).catch(function (err) {
           console.warn("[DuperMemory] Failed to merge target memory update:", err);
+          // The reply itself arrived; only saving it to memory failed.
+          sendStatusUpdate(job.sourceTabId, "warning", err && err.quota
+            ? err.message
+            : "The reply's memory note could not be saved" + (err && err.message ? " (" + err.message + ")" : ""));
         });
       }
 
+      // Fan-out targets report into the shared results panel instead of
+      // injecting a critique each.
+      if (job.kind === "fanout") {
+        setFanOutStatus(job.groupId, respModel.key, "done", parsed.reply);
+        return;
+      }
+
+      // The judge's reconciled critique replaces the individual ones.
+      if (job.kind === "judge") {
+        finishConsensus(job.groupId, parsed.reply);
+        return;
+      }
+
+      if (job.kind === "mode") {
+        finishMode(job, parsed.reply, respModel);
+        return;
+      }
+
       // Send only the conversational reply back to the source tab.
-      sendCritiqueToTab(review.sourceTabId, parsed.reply, respModel.name);
-      sendStatusUpdate(review.sourceTabId, "done");
-    }
+      sendCritiqueToTab(job.sourceTabId, parsed.reply, respModel.name, respModel.key);
+      sendStatusUpdate(job.sourceTabId, "done");
+    });
     return false;
   }
 });
 
-// ─── Capture transcript + read memory + open target ──────────────────────────
+// ─── Job timeouts and failures ──────────────────────────────────────────────
+//
+// setTimeout does not survive worker suspension, so deadlines are checked by
+// a repeating alarm while any job is active, and once on every worker start
+// (jobs may have expired while the worker was asleep).
 
-function handleCapture(transcript, targetModelKey, conversationId, sourceTabId) {
-  if (!transcript || typeof transcript !== "string") {
-    console.error("[DuperMemory] handleCapture: invalid transcript", transcript);
-    return;
+var JOB_SWEEP_ALARM = "dm-job-sweep";
+
+var JOB_TIMEOUT_REASONS = {
+  opening:  "the target tab never finished loading",
+  injected: "the target never submitted the prompt",
+  waiting:  "no response from the target in time",
+};
+
+function ensureSweepAlarm() {
+  chrome.alarms.create(JOB_SWEEP_ALARM, { periodInMinutes: 0.5 });
+}
+
+function sweepJobs() {
+  var expired = getExpiredJobs(Date.now());
+  for (var i = 0; i < expired.length; i++) {
+    failJob(expired[i], JOB_TIMEOUT_REASONS[expired[i].state] || "timed out");
   }
-  if (!sourceTabId) {
-    console.error("[DuperMemory] handleCapture: could not identify source tab");
+  if (!hasActiveJobs()) chrome.alarms.clear(JOB_SWEEP_ALARM);
+}
+
+// Fails a job and reports it to the source tab. Fan-out targets fail only
+// their own column; the group carries on with the remaining targets.
+function failJob(job, reason) {
+  console.warn("[DuperMemory] " + job.kind + " job to " + job.modelKey + " failed while " + job.state + ": " + reason);
+  setJobState(job, "failed", { error: reason });
+  updateHistoryEntry(job.historyId, {
+    status:       "failed",
+    error:        reason,
+    completed_at: new Date().toISOString(),
+  });
+
+  if (job.kind === "fanout") {
+    setFanOutStatus(job.groupId, job.modelKey, "failed", "");
     return;
   }
+  if (job.kind === "judge") {
+    removeGroup(job.groupId);
+  }
+  sendStatusUpdate(job.sourceTabId, "failed", reason);
+}
+
+chrome.alarms.onAlarm.addListener(function (alarm) {
+  if (alarm.name !== JOB_SWEEP_ALARM) return;
+  jobsReady.then(sweepJobs);
+});
+
+chrome.tabs.onRemoved.addListener(function (tabId) {
+  jobsReady.then(function () {
+    var job = findJobByTargetTab(tabId);
+    if (job) failJob(job, MODEL_REGISTRY[job.modelKey].name + " tab was closed");
+  });
+});
+
+// Worker start: rehydrated jobs resume their timeouts.
+jobsReady.then(function () {
+  if (!hasActiveJobs()) return;
+  ensureSweepAlarm();
+  sweepJobs();
+});
+
+// ─── Manual links ─────────────────────────────────────────────────────────────
+
+// Every stored memory except the thread's own, most recently updated first,
+// plus the memory the thread is linked to now (null if none).
+function listLinkOptions(conversationId) {
+  return Promise.all([
+    readLinks(),
+    new Promise(function (resolve) {
+      chrome.storage.local.get(null, function (data) {
+        resolve(chrome.runtime.lastError ? {} : data);
+      });
+    }),
+  ]).then(function (results) {
+    var memories = [];
+    for (var key in results[1]) {
+      var memory = results[1][key];
+      if (!isStoredMemory(key, memory) || memory.conversation_id === conversationId) continue;
+      memories.push({ id: memory.conversation_id, topic: memory.topic || "", updated_at: memory.updated_at || "" });
+    }
+    memories.sort(function (a, b) { return b.updated_at.localeCompare(a.updated_at); });
+    return { memories: memories, linkedTo: results[0][conversationId] || null };
+  });
+}
+
+// ─── Capture transcript + read memory + open target ──────────────────────────
+
+// sourceTabId is null when the transfer is re-run from the popup and the
+// original source tab is gone; the reply then only lands in the history.
+function handleCapture(transcript, targetModelKey, conversationId, sourceTabId, sourceModelKey) {
+  if (!transcript || typeof transcript !== "string") {
+    return Promise.reject(new Error("there was no transcript to send"));
+  }
 
   // Resolve the target model from the registry.
   var model = MODEL_REGISTRY[targetModelKey];
-  if (!model) {
-    console.error("[DuperMemory] handleCapture: unknown target model", targetModelKey);
-    return;
-  }
+  if (!model) return Promise.reject(new Error("unknown target model " + targetModelKey));
 
   // Use a stable conversation ID. If the source didn't provide one, generate one.
   var convId = conversationId || ("conv_" + Date.now());
 
-  // Read memory and vault context in parallel, then build the context block.
-  Promise.all([
+  return buildCaptureContext(convId, transcript, model).then(function (contextBlock) {
+    return openTargetTab(model, contextBlock, {
+      kind:           "capture",
+      sourceTabId:    sourceTabId,
+      sourceModel:    sourceModelKey,
+      conversationId: convId,
+      transcript:     transcript,
+    });
+  });
+}
+
+// Reads memory, vault context and settings in parallel, then builds the
+// context block. With knowledge.inject_entities on, entities the transcript
+// mentions that other conversations know about are added to it. The block
+// uses the capture template for model and is kept within its context budget.
+// A conversation without memory yet gets provisional notes extracted from the
+// transcript. mode (optional, utils/modes.js) swaps in the mode's
+// instruction as the task and drops the memory note request for modes that
+// do not keep memory.
+function buildCaptureContext(convId, transcript, model, mode) {
+  return Promise.all([
     readMemory(convId).catch(function () { return createEmptyMemory(convId); }),
     getVaultContext(),
+    readSettings(),
   ]).then(function (results) {
-    var memory = results[0];
+    var stored = results[0];
     var vaultText = results[1];
-    var contextBlock = formatContextBlockFromTranscript(memory, transcript);
-    contextBlock = prependVaultBlock(contextBlock, vaultText);
+    var settings = results[2];
+    var memory = memoryHasContent(stored)
+      ? stored
+      : extractProvisionalMemory(convId, sanitizeMetaPrompt(transcript)) || stored;
+    // Matched against the stored memory: provisional entities have no
+    // summaries and must not hide global ones that do.
+    var entities = settings.knowledge.inject_entities
+      ? readEntityIndex().then(function (index) {
+          return findRelevantEntities(index, stored, transcript);
+        })
+      : [];
+    return Promise.resolve(entities).then(function (globalEntities) {
+      var template = getTemplate("capture", model.key, settings);
+      var ownVault = templateUses(template, "vault");
+      var vaultChars = ownVault ? 0 : prependVaultBlock("", vaultText).length;
+      var budget = getContextBudget(model.key, settings);
+      var contextBlock = formatContextBlockFromTranscript(memory, transcript, globalEntities, {
+        budget:            budget && Math.max(budget - vaultChars, 1),
+        keepTurns:         settings.compression.keep_turns,
+        template:          template,
+        targetName:        model.name,
+        vault:             vaultText,
+        task:              mode ? mode.task(memory) : "",
+        memoryInstruction: !mode || mode.memory,
+      });
+      return ownVault ? contextBlock : prependVaultBlock(contextBlock, vaultText);
+    });
+  });
+}
+
+// Opens the target AI tab, logs a history entry and creates the job that
+// holds the context block until its READY signal. Rejects if the history
+// entry cannot be written; a tab that fails to open fails its job instead.
+//
+// fields: { kind, sourceTabId, sourceModel, conversationId, transcript, groupId }
+//   groupId is the fan-out ID for "fanout" / "judge" jobs, absent otherwise.
+function openTargetTab(model, contextBlock, fields) {
+  return addHistoryEntry({
+    kind:            fields.kind,
+    mode:            fields.mode,
+    source:          fields.sourceModel,
+    target:          model.key,
+    source_tab_id:   fields.sourceTabId,
+    conversation_id: fields.conversationId,
+    transcript:      fields.transcript,
+  }).then(function (entry) {
+    var job = createJob({
+      kind:           fields.kind,
+      mode:           fields.mode,
+      modelKey:       model.key,
+      sourceTabId:    fields.sourceTabId,
+      conversationId: fields.conversationId,
+      groupId:        fields.groupId,
+      historyId:      entry.id,
+      contextBlock:   contextBlock,
+    });
+    ensureSweepAlarm();
 
     chrome.tabs.create({ url: model.url }, function (tab) {
       if (chrome.runtime.lastError) {
         console.error("[DuperMemory] Failed to open " + model.name + " tab:", chrome.runtime.lastError.message);
-        sendStatusUpdate(sourceTabId, "idle");
+        failJob(job, "could not open a " + model.name + " tab");
         return;
       }
-      pendingContext[tab.id] = {
-        contextBlock:   contextBlock,
-        sourceTabId:    sourceTabId,
-        conversationId: convId,
-      };
-      sendStatusUpdate(sourceTabId, "opening", model.name);
+      setJobState(job, "opening", { targetTabId: tab.id });
+      if (fields.kind !== "fanout") {
+        sendStatusUpdate(fields.sourceTabId, "opening", model.name);
+      }
     });
   });
 }
 
-// ─── Replay: wrap transcript in meta-prompt + open target ───────────────────
+// ─── Fan-out: same context block to several targets at once ─────────────────
 
-function handleReplay(transcript, targetModelKey, conversationId, sourceTabId) {
+// judgeModelKey is null for a plain fan-out; otherwise the replies are handed
+// to that model once every target has answered (see startJudgeStage).
+function handleCaptureAll(transcript, targetModelKeys, sourceModelKey, conversationId, sourceTabId, judgeModelKey) {
   if (!transcript || typeof transcript !== "string") {
-    console.error("[DuperMemory] handleReplay: invalid transcript");
-    return;
+    return Promise.reject(new Error("there was no transcript to send"));
   }
   if (!sourceTabId) {
-    console.error("[DuperMemory] handleReplay: could not identify source tab");
+    return Promise.reject(new Error("could not identify the source tab"));
+  }
+
+  var judge = null;
+  if (judgeModelKey) {
+    judge = MODEL_REGISTRY[judgeModelKey];
+    if (!judge) return Promise.reject(new Error("unknown judge model " + judgeModelKey));
+  }
+
+  // Keep only known models, never the source site itself or the judge.
+  var models = [];
+  var keys = Array.isArray(targetModelKeys) ? targetModelKeys : [];
+  for (var i = 0; i < keys.length; i++) {
+    var m = MODEL_REGISTRY[keys[i]];
+    if (!m || m.key === sourceModelKey || m === judge) continue;
+    if (models.indexOf(m) === -1) models.push(m);
+  }
+  if (models.length === 0) {
+    return Promise.reject(new Error("no valid target models were picked"));
+  }
+
+  var convId = conversationId || ("conv_" + Date.now());
+  var fanOutId = "fan_" + Date.now();
+
+  var results = {};
+  for (var r = 0; r < models.length; r++) {
+    results[models[r].key] = { name: models[r].name, status: "opening", reply: "" };
+  }
+  createGroup(fanOutId, {
+    sourceTabId:    sourceTabId,
+    sourceModel:    sourceModelKey,
+    conversationId: convId,
+    transcript:     transcript,
+    judgeKey:       judge ? judge.key : null,
+    stage:          "collecting",
+    results:        results,
+  });
+
+  // Each target gets its own block: templates and budgets are per model.
+  return Promise.all(models.map(function (m) {
+    return buildCaptureContext(convId, transcript, m);
+  })).then(function (contextBlocks) {
+    var opened = [];
+    for (var t = 0; t < models.length; t++) {
+      opened.push(openTargetTab(models[t], contextBlocks[t], {
+        kind:           "fanout",
+        sourceTabId:    sourceTabId,
+        sourceModel:    sourceModelKey,
+        conversationId: convId,
+        transcript:     transcript,
+        groupId:        fanOutId,
+      }));
+    }
+    sendStatusUpdate(sourceTabId, "opening", models.length + " models");
+    sendFanOutResults(fanOutId);
+    return Promise.all(opened);
+  }).catch(function (err) {
+    removeGroup(fanOutId);
+    throw err;
+  });
+}
+
+// Records one target's progress and pushes the updated panel to the source.
+// Once every target is done or failed, the fan-out is complete.
+function setFanOutStatus(fanOutId, modelKey, status, reply) {
+  var fan = getGroup(fanOutId);
+  if (!fan || !fan.results[modelKey]) return;
+
+  fan.results[modelKey].status = status;
+  if (reply) fan.results[modelKey].reply = reply;
+  saveJobs();
+  sendFanOutResults(fanOutId);
+
+  var finished = 0;
+  var total = 0;
+  for (var key in fan.results) {
+    total++;
+    if (fan.results[key].status === "done" || fan.results[key].status === "failed") finished++;
+  }
+
+  if (finished === total) {
+    if (fan.judgeKey) {
+      startJudgeStage(fanOutId);
+      return;
+    }
+    removeGroup(fanOutId);
+    sendStatusUpdate(fan.sourceTabId, "done");
+  } else {
+    sendStatusUpdate(fan.sourceTabId, "waiting", finished + "/" + total + " responses");
+  }
+}
+
+// ─── Consensus: judge stage ─────────────────────────────────────────────────
+
+// All targets have answered — hand their replies to the judge model.
+function startJudgeStage(fanOutId) {
+  var fan = getGroup(fanOutId);
+  if (!fan || fan.stage !== "collecting") return;
+
+  var replies = [];
+  for (var key in fan.results) {
+    if (fan.results[key].status === "done" && fan.results[key].reply) {
+      replies.push({ name: fan.results[key].name, reply: fan.results[key].reply });
+    }
+  }
+  if (replies.length === 0) {
+    console.warn("[DuperMemory] Consensus aborted: no target replied.");
+    removeGroup(fanOutId);
+    sendStatusUpdate(fan.sourceTabId, "failed", "no model answered");
     return;
   }
 
+  fan.stage = "judging";
+  saveJobs();
+  var judge = MODEL_REGISTRY[fan.judgeKey];
+
+  return Promise.all([
+    readMemory(fan.conversationId).catch(function () { return createEmptyMemory(fan.conversationId); }),
+    getVaultContext(),
+  ]).then(function (results) {
+    var judgePrompt = buildJudgePrompt(results[0], fan.transcript, replies);
+    judgePrompt = prependVaultBlock(judgePrompt, results[1]);
+
+    return openTargetTab(judge, judgePrompt, {
+      kind:           "judge",
+      sourceTabId:    fan.sourceTabId,
+      sourceModel:    fan.sourceModel,
+      conversationId: fan.conversationId,
+      transcript:     fan.transcript,
+      groupId:        fanOutId,
+    });
+  }).catch(function (err) {
+    removeGroup(fanOutId);
+    failTransfer(fan.sourceTabId)(err);
+  });
+}
+
+// The judge replied — send its reconciled critique back to the source.
+function finishConsensus(fanOutId, reply) {
+  var fan = getGroup(fanOutId);
+  if (!fan) return;
+  removeGroup(fanOutId);
+
+  var names = [];
+  for (var key in fan.results) {
+    if (fan.results[key].status === "done") names.push(fan.results[key].name);
+  }
+  var judge = MODEL_REGISTRY[fan.judgeKey];
+  var label = "A panel of " + names.join(", ") + ", judged by " + judge.name + ",";
+
+  sendCritiqueToTab(fan.sourceTabId, reply, label, judge.key);
+  sendStatusUpdate(fan.sourceTabId, "done");
+}
+
+function sendFanOutResults(fanOutId) {
+  var fan = getGroup(fanOutId);
+  if (!fan) return;
+
+  var list = [];
+  for (var key in fan.results) {
+    list.push({
+      key:    key,
+      name:   fan.results[key].name,
+      status: fan.results[key].status,
+      reply:  fan.results[key].reply,
+    });
+  }
+
+  chrome.tabs.sendMessage(fan.sourceTabId, {
+    type:     "FANOUT_RESULTS",
+    fanOutId: fanOutId,
+    results:  list,
+  }, function () {
+    if (chrome.runtime.lastError) { /* source tab may be closed */ }
+  });
+}
+
+// ─── Replay: wrap transcript in meta-prompt + open target ───────────────────
+
+function handleReplay(transcript, targetModelKey, conversationId, sourceTabId, sourceModelKey) {
+  if (!transcript || typeof transcript !== "string") {
+    return Promise.reject(new Error("there was no transcript to send"));
+  }
+
   var model = MODEL_REGISTRY[targetModelKey];
-  if (!model) {
-    console.error("[DuperMemory] handleReplay: unknown target model", targetModelKey);
-    return;
+  if (!model) return Promise.reject(new Error("unknown target model " + targetModelKey));
+
+  var convId = conversationId || ("conv_" + Date.now());
+
+  return Promise.all([getVaultContext(), readSettings(), readMemory(convId)]).then(function (results) {
+    var vaultText = results[0];
+    var settings = results[1];
+    var template = getTemplate("replay", model.key, settings);
+    var ownVault = templateUses(template, "vault");
+    var vaultChars = ownVault ? 0 : prependVaultBlock("", vaultText).length;
+    var budget = getContextBudget(model.key, settings);
+    var replayPrompt = buildReplayPrompt(transcript, {
+      template:   template,
+      targetName: model.name,
+      vault:      vaultText,
+      budget:     budget && Math.max(budget - vaultChars, 1),
+      keepTurns:  settings.compression.keep_turns,
+      memory:     results[2],
+    });
+    if (!ownVault) replayPrompt = prependVaultBlock(replayPrompt, vaultText);
+
+    return openTargetTab(model, replayPrompt, {
+      kind:           "replay",
+      sourceTabId:    sourceTabId,
+      sourceModel:    sourceModelKey,
+      conversationId: convId,
+      transcript:     transcript,
+    });
+  });
+}
+
+// ─── Modes: fact-check, tests, explain, continue, red-team ────────────────────
+
+function handleMode(modeKey, transcript, targetModelKey, conversationId, sourceTabId, sourceModelKey) {
+  if (!transcript || typeof transcript !== "string") {
+    return Promise.reject(new Error("there was no transcript to send"));
   }
 
+  var mode = MODE_REGISTRY[modeKey];
+  var model = MODEL_REGISTRY[targetModelKey];
+  if (!mode) return Promise.reject(new Error("unknown mode " + modeKey));
+  if (!model) return Promise.reject(new Error("unknown target model " + targetModelKey));
+
   var convId = conversationId || ("conv_" + Date.now());
 
-  getVaultContext().then(function (vaultText) {
-    var replayPrompt = buildReplayPrompt(transcript);
-    replayPrompt = prependVaultBlock(replayPrompt, vaultText);
+  return buildCaptureContext(convId, transcript, model, mode).then(function (contextBlock) {
+    return openTargetTab(model, contextBlock, {
+      kind:           "mode",
+      mode:           mode.key,
+      sourceTabId:    sourceTabId,
+      sourceModel:    sourceModelKey,
+      conversationId: convId,
+      transcript:     transcript,
+    });
+  });
+}
+
+// A mode's target replied: send the reply back introduced by the mode's
+// critique line, or leave it in the target tab and say so.
+function finishMode(job, reply, model) {
+  var mode = MODE_REGISTRY[job.mode];
+  if (mode && mode.reply === "critique") {
+    injectCritique(job.sourceTabId, renderTemplate(mode.critique, { "target.name": model.name }) + "\n\n" + reply);
+    sendStatusUpdate(job.sourceTabId, "done");
+    return;
+  }
+  sendStatusUpdate(job.sourceTabId, "done", "Reply ready in the " + model.name + " tab");
+}
 
-    chrome.tabs.create({ url: model.url }, function (tab) {
-      if (chrome.runtime.lastError) {
-        console.error("[DuperMemory] Failed to open " + model.name + " tab:", chrome.runtime.lastError.message);
-        sendStatusUpdate(sourceTabId, "idle");
-        return;
+// ─── History re-run ─────────────────────────────────────────────────────────
+
+// Re-sends a logged transcript to another model. The reply goes back to the
+// original source tab if it is still open; otherwise it is only logged.
+// Replays and modes re-run as themselves; every other kind re-runs as a
+// plain capture.
+function resendHistoryEntry(historyId, targetModelKey) {
+  return readHistory().then(function (entries) {
+    var entry = findHistoryEntry(entries, historyId);
+    if (!entry || !entry.transcript || !MODEL_REGISTRY[targetModelKey]) return false;
+
+    return new Promise(function (resolve) {
+      if (!entry.source_tab_id) { resolve(null); return; }
+      chrome.tabs.get(entry.source_tab_id, function (tab) {
+        resolve(chrome.runtime.lastError || !tab ? null : tab.id);
+      });
+    }).then(function (sourceTabId) {
+      var run;
+      if (entry.kind === "replay") {
+        run = handleReplay(entry.transcript, targetModelKey, entry.conversation_id, sourceTabId, entry.source);
+      } else if (entry.kind === "mode" && MODE_REGISTRY[entry.mode]) {
+        run = handleMode(entry.mode, entry.transcript, targetModelKey, entry.conversation_id, sourceTabId, entry.source);
+      } else {
+        run = handleCapture(entry.transcript, targetModelKey, entry.conversation_id, sourceTabId, entry.source);
       }
-      pendingContext[tab.id] = {
-        contextBlock:   replayPrompt,
-        sourceTabId:    sourceTabId,
-        conversationId: convId,
-      };
-      sendStatusUpdate(sourceTabId, "opening", model.name);
+      Promise.resolve(run).catch(failTransfer(sourceTabId));
+      return true;
     });
   });
 }
@@ -275,7 +961,11 @@ chrome.contextMenus.onClicked.addListener(function (info, tab) {
   var sourceModel = getSourceModelFromUrl(tab.url);
   if (sourceModel === targetModelKey) return;
 
-  handleCapture(info.selectionText, targetModelKey, null, tab.id);
+  jobsReady.then(function () {
+    return resolveConversationId(null);
+  }).then(function (convId) {
+    return handleCapture(info.selectionText, targetModelKey, convId, tab.id, sourceModel);
+  }).catch(failTransfer(tab.id));
 });
 
 function getSourceModelFromUrl(url) {
@@ -290,11 +980,19 @@ function getSourceModelFromUrl(url) {
 
 // ─── Relay target's response back to the source tab ───────────────────────────
 
-function sendCritiqueToTab(tabId, response, modelName) {
-  var content =
-    modelName + " reviewed your answer. Revise your response considering this critique:\n\n" +
-    response;
+// modelName fills {{target.name}}; modelKey picks the critique template.
+function sendCritiqueToTab(tabId, response, modelName, modelKey) {
+  if (!tabId) return; // transfer started from the popup
+  readSettings().then(function (settings) {
+    injectCritique(tabId, renderTemplate(getTemplate("critique", modelKey, settings), {
+      reply:         response,
+      "target.name": modelName,
+    }));
+  });
+}
 
+function injectCritique(tabId, content) {
+  if (!tabId) return; // transfer started from the popup
   chrome.tabs.sendMessage(tabId, { type: "INJECT_CRITIQUE", content: content }, function () {
     if (chrome.runtime.lastError) {
       console.warn(
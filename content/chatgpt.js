@@ -42,6 +42,7 @@ chrome.runtime.sendMessage({ type: "CHATGPT_READY" }, function (response) {
   // Run injection flow.
   runTargetInjectionFlow(response.contextBlock).catch(function (err) {
     console.error("[DuperMemory] ChatGPT target injection flow failed:", err.message);
+    notifyTargetFailed(err.message);
   });
 });
 
@@ -59,11 +60,13 @@ async function runTargetInjectionFlow(contextBlock) {
   if (!submitted) {
     throw new Error("Could not submit to ChatGPT — no send button found.");
   }
+  notifyTargetSubmitted();
 
   var response = await waitForTargetResponse(scopeEl, snapshot);
 
   if (!response) {
     console.warn("[DuperMemory] ChatGPT response captured was empty. Not sending back.");
+    notifyTargetFailed("empty response");
     return;
   }
 
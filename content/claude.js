@@ -39,6 +39,7 @@ chrome.runtime.sendMessage({ type: "CLAUDE_READY" }, function (response) {
   }
   runTargetInjectionFlow(response.contextBlock).catch(function (err) {
     console.error("[DuperMemory] Claude target injection flow failed:", err.message);
+    notifyTargetFailed(err.message);
   });
 });
 
@@ -55,11 +56,13 @@ async function runTargetInjectionFlow(contextBlock) {
   if (!submitted) {
     throw new Error("Could not submit to Claude — no send button found.");
   }
+  notifyTargetSubmitted();
 
   var claudeResponse = await waitForClaudeResponse(scopeEl, snapshot);
 
   if (!claudeResponse) {
     console.warn("[DuperMemory] Claude response captured was empty. Not sending back.");
+    notifyTargetFailed("empty response");
     return;
   }
 
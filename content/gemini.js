@@ -41,6 +41,7 @@ chrome.runtime.sendMessage({ type: "GEMINI_READY" }, function (response) {
   }
   runTargetInjectionFlow(response.contextBlock).catch(function (err) {
     console.error("[DuperMemory] Gemini target injection flow failed:", err.message);
+    notifyTargetFailed(err.message);
   });
 });
 
@@ -57,11 +58,13 @@ async function runTargetInjectionFlow(contextBlock) {
   if (!submitted) {
     throw new Error("Could not submit to Gemini — no send button found.");
   }
+  notifyTargetSubmitted();
 
   var response = await waitForGeminiResponse(scopeEl, snapshot);
 
   if (!response) {
     console.warn("[DuperMemory] Gemini response captured was empty. Not sending back.");
+    notifyTargetFailed("empty response");
     return;
   }
 
@@ -41,6 +41,7 @@ chrome.runtime.sendMessage({ type: "PERPLEXITY_READY" }, function (response) {
   }
   runTargetInjectionFlow(response.contextBlock).catch(function (err) {
     console.error("[DuperMemory] Perplexity target injection flow failed:", err.message);
+    notifyTargetFailed(err.message);
   });
 });
 
@@ -57,11 +58,13 @@ async function runTargetInjectionFlow(contextBlock) {
   if (!submitted) {
     throw new Error("Could not submit to Perplexity — no send button found.");
   }
+  notifyTargetSubmitted();
 
   var response = await waitForPerplexityResponse(scopeEl, snapshot);
 
   if (!response) {
     console.warn("[DuperMemory] Perplexity response captured was empty. Not sending back.");
+    notifyTargetFailed("empty response");
     return;
   }
 
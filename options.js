@@ -0,0 +1,202 @@
+// options.js — DuperMemory Settings page
+//
+// Edits the per-list memory limits and eviction policies stored by
+// utils/settings.js. They take effect on the next merge: background.js reads
+// them before every mergeMemory, and evict (utils/memory.js) applies them.
+// Also toggles sharing entities across conversations (utils/entities.js)
+// and sets the per-target transcript budgets (utils/compress.js), both read
+// by background.js on every capture.
+// The prompt template editor (utils/templates.js) saves on its own.
+// Retention settings live in the popup's storage bar.
+
+(function () {
+  var rowsEl   = document.getElementById("limits");
+  var statusEl = document.getElementById("status");
+  var injectEl = document.getElementById("inject-entities");
+  var budgetEl = document.getElementById("budgets");
+  var turnsEl  = document.getElementById("keep-turns");
+
+  var LIST_LABELS = {
+    entities:           "Entities",
+    facts:              "Facts",
+    decisions:          "Decisions",
+    open_questions:     "Open questions",
+    resolved_questions: "Resolved questions",
+    constraints:        "Constraints",
+  };
+
+  var POLICY_LABELS = {
+    oldest:   "Oldest",
+    lru:      "Least recently mentioned",
+    priority: "Least mentioned",
+  };
+
+  var MAX_LIMIT = 200;
+
+  // Below this a context block is mostly instructions and notes.
+  var MIN_BUDGET = 4000;
+  var MAX_KEEP_TURNS = 50;
+
+  function render(settings) {
+    injectEl.checked = !!settings.knowledge.inject_entities;
+    rowsEl.innerHTML = "";
+    for (var field in EVICTION_DEFAULTS) {
+      var options = "";
+      for (var p = 0; p < EVICTION_POLICIES.length; p++) {
+        var policy = EVICTION_POLICIES[p];
+        options += '<option value="' + policy + '"' + (policy === settings.eviction[field] ? " selected" : "") + '>' +
+          POLICY_LABELS[policy] + '</option>';
+      }
+      var row = document.createElement("tr");
+      row.innerHTML =
+        '<td>' + LIST_LABELS[field] + '</td>' +
+        '<td><input type="number" min="1" max="' + MAX_LIMIT + '" data-field="' + field + '"' +
+          ' value="' + settings.limits[field] + '" title="Default ' + EVICTION_DEFAULTS[field].limit + '"></td>' +
+        '<td><select data-field="' + field + '">' + options + '</select></td>';
+      rowsEl.appendChild(row);
+    }
+
+    turnsEl.value = settings.compression.keep_turns;
+    budgetEl.innerHTML = "";
+    for (var key in MODEL_REGISTRY) {
+      var budgetRow = document.createElement("tr");
+      budgetRow.innerHTML =
+        '<td>' + MODEL_REGISTRY[key].name + '</td>' +
+        '<td><input type="number" class="budget" min="' + MIN_BUDGET + '" step="1000" data-model="' + key + '"' +
+          ' value="' + (settings.compression.budgets[key] || "") + '"' +
+          ' placeholder="' + MODEL_REGISTRY[key].contextBudget + '"></td>';
+      budgetEl.appendChild(budgetRow);
+    }
+  }
+
+  function showStatus(text, isError) {
+    statusEl.className = "status" + (isError ? " error" : "");
+    statusEl.textContent = text;
+  }
+
+  document.getElementById("save").addEventListener("click", function () {
+    readSettings().then(function (settings) {
+      var inputs = rowsEl.querySelectorAll("input");
+      for (var i = 0; i < inputs.length; i++) {
+        var value = parseInt(inputs[i].value, 10);
+        if (!(value >= 1 && value <= MAX_LIMIT)) {
+          throw new Error(LIST_LABELS[inputs[i].dataset.field] + " must be between 1 and " + MAX_LIMIT);
+        }
+        settings.limits[inputs[i].dataset.field] = value;
+      }
+      var selects = rowsEl.querySelectorAll("select");
+      for (var s = 0; s < selects.length; s++) {
+        settings.eviction[selects[s].dataset.field] = selects[s].value;
+      }
+      settings.knowledge.inject_entities = injectEl.checked;
+
+      var keepTurns = parseInt(turnsEl.value, 10);
+      if (!(keepTurns >= 1 && keepTurns <= MAX_KEEP_TURNS)) {
+        throw new Error("Turns kept word for word must be between 1 and " + MAX_KEEP_TURNS);
+      }
+      settings.compression.keep_turns = keepTurns;
+      settings.compression.budgets = {};
+      var budgets = budgetEl.querySelectorAll("input");
+      for (var b = 0; b < budgets.length; b++) {
+        if (!budgets[b].value.trim()) continue;
+        var budget = parseInt(budgets[b].value, 10);
+        if (!(budget >= MIN_BUDGET)) {
+          throw new Error(MODEL_REGISTRY[budgets[b].dataset.model].name + " must get at least " + MIN_BUDGET + " characters");
+        }
+        settings.compression.budgets[budgets[b].dataset.model] = budget;
+      }
+      return writeSettings(settings);
+    }).then(function () {
+      showStatus("Saved. Applies from the next transfer.");
+    }).catch(function (err) {
+      showStatus(err.message + ".", true);
+    });
+  });
+
+  document.getElementById("reset").addEventListener("click", function () {
+    var defaults = applySettingDefaults(null);
+    render(defaults);
+    showStatus("Defaults restored. Save to keep them.");
+  });
+
+  readSettings().then(render);
+
+  // ─── Template editor ───────────────────────────────────────────────────────
+
+  var kindEl         = document.getElementById("template-kind");
+  var targetEl       = document.getElementById("template-target");
+  var textEl         = document.getElementById("template-text");
+  var helpEl         = document.getElementById("template-help");
+  var templateStatus = document.getElementById("template-status");
+
+  targetEl.innerHTML = '<option value="default">All targets</option>';
+  for (var modelKey in MODEL_REGISTRY) {
+    var opt = document.createElement("option");
+    opt.value = modelKey;
+    opt.textContent = MODEL_REGISTRY[modelKey].name + " only";
+    targetEl.appendChild(opt);
+  }
+
+  function showTemplateStatus(text, isError) {
+    templateStatus.className = "status" + (isError ? " error" : "");
+    templateStatus.textContent = text;
+  }
+
+  // Shows the template the selected kind and target use now, and where it
+  // comes from.
+  function loadTemplate() {
+    var kind = kindEl.value;
+    var target = targetEl.value;
+    readSettings().then(function (settings) {
+      var edited = settings.templates[kind];
+      textEl.value = getTemplate(kind, target, settings);
+      var source = edited[target] ? "Edited" :
+        (edited["default"] ? "Using the template for all targets" : "Built-in wording");
+      helpEl.innerHTML = esc(source) + ". Placeholders: " +
+        TEMPLATE_PLACEHOLDERS[kind].allowed.map(function (name) {
+          return "<code>{{" + esc(name) + "}}</code>";
+        }).join(" ") +
+        (kind === "replay" ? ". Keep the TRANSCRIPT START/END delimiters so chained transfers are still recognized." :
+          kind === "capture" ? ". Keep the transcript delimiters; with {{memory_instruction}} they mark the prompt so chained transfers are still recognized." : "");
+      showTemplateStatus("");
+    });
+  }
+
+  function esc(s) {
+    return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+
+  kindEl.addEventListener("change", loadTemplate);
+  targetEl.addEventListener("change", loadTemplate);
+
+  document.getElementById("template-save").addEventListener("click", function () {
+    var errors = validateTemplate(kindEl.value, textEl.value);
+    if (errors.length > 0) {
+      showTemplateStatus(errors.join(". ") + ".", true);
+      return;
+    }
+    readSettings().then(function (settings) {
+      settings.templates[kindEl.value][targetEl.value] = textEl.value;
+      return writeSettings(settings);
+    }).then(function () {
+      loadTemplate();
+      showTemplateStatus("Template saved.");
+    }).catch(function (err) {
+      showTemplateStatus(err.message + ".", true);
+    });
+  });
+
+  document.getElementById("template-reset").addEventListener("click", function () {
+    readSettings().then(function (settings) {
+      delete settings.templates[kindEl.value][targetEl.value];
+      return writeSettings(settings);
+    }).then(function () {
+      loadTemplate();
+      showTemplateStatus(targetEl.value === "default" ? "Built-in wording restored." : "Now using the template for all targets.");
+    }).catch(function (err) {
+      showTemplateStatus(err.message + ".", true);
+    });
+  });
+
+  loadTemplate();
+})();
@@ -2,12 +2,85 @@
 //
 // Reads all stored conversation memories from chrome.storage.local
 // and renders them as cards. Provides per-conversation and global clear.
+// The search box matches every term against topic, goal, entities, facts,
+// decisions, open questions and constraints, and highlights the hits;
+// results can be narrowed by source model and last-updated date range.
+//
+// Clicking a card opens its detail view, which lists every stored item with
+// edit, delete, pin and "resolve" actions. Items are tagged with the model
+// and hop that added them and can be filtered by that model. Contradictions
+// flagged by mergeMemory are listed first, each with keep-one/keep-both
+// buttons. Each action
+// re-reads the memory, applies the change and saves it through updateMemory
+// (utils/memory.js).
+//
+// The detail view's Timeline lists the per-hop snapshots from
+// utils/timeline.js with what each hop added, removed or changed. Rolling
+// back goes through background.js, the only writer of the timeline.
+//
+// Export / Import write and restore a versioned JSON bundle of every memory
+// plus the vault (utils/backup.js), with a merge-or-overwrite choice and a
+// report of skipped memories and conflicting fields.
+//
+// The storage bar shows chrome.storage.local usage against its quota and
+// holds the retention settings (utils/settings.js). Memories past retention
+// (utils/retention.js) are downloaded as an archive bundle; deleting them is
+// a separate, confirmed step, since the popup cannot tell whether the file
+// was actually saved.
+// The gear button opens the settings page (options.html) for memory limits,
+// eviction policy and entity sharing.
+//
+// The Entities view lists the cross-conversation entity index
+// (utils/entities.js): one entry per entity, with the conversations that
+// mention it and what each says about it.
+//
+// The History view lists recent transfers from utils/history.js. Entries
+// are read directly; re-runs and deletes go through background.js so the
+// service worker stays the only writer of the log.
 
 (function () {
   var cardsEl   = document.getElementById("cards");
   var clearAll  = document.getElementById("clear-all");
+  var tabs      = document.querySelectorAll(".tab");
+  var filtersEl = document.getElementById("filters");
+  var searchEl  = document.getElementById("search");
+  var modelEl   = document.getElementById("filter-model");
+  var fromEl    = document.getElementById("filter-from");
+  var toEl      = document.getElementById("filter-to");
+  var noticeEl  = document.getElementById("notice");
+  var importBar = document.getElementById("import-bar");
+  var fileEl    = document.getElementById("import-file");
+  var storageEl = document.getElementById("storage-bar");
+  var ageEl     = document.getElementById("retention-age");
+  var countEl   = document.getElementById("retention-count");
+  var runEl     = document.getElementById("retention-run");
+  var purgeEl   = document.getElementById("retention-delete");
+  var view      = "memories";
+  var detailId  = null;
+  var originKey = "";     // detail view filter: only items added by this model
 
   function load() {
+    loadStorage();
+    filtersEl.style.display = view === "memories" ? "" : "none";
+    if (view === "history") {
+      clearAll.style.display = "none";
+      loadHistory();
+    } else if (view === "detail") {
+      clearAll.style.display = "none";
+      loadDetail();
+    } else if (view === "timeline") {
+      clearAll.style.display = "none";
+      loadTimeline();
+    } else if (view === "entities") {
+      clearAll.style.display = "none";
+      loadEntities();
+    } else {
+      loadMemories();
+    }
+  }
+
+
+  function loadMemories() {
     chrome.storage.local.get(null, function (data) {
       if (chrome.runtime.lastError) {
         cardsEl.innerHTML = '<div class="empty">Failed to load memories.</div>';
@@ -16,8 +89,8 @@
 
       var memories = [];
       for (var key in data) {
-        if (key.indexOf("dupermemory_") === 0) {
-          memories.push(data[key]);
+        if (isStoredMemory(key, data[key])) {
+          memories.push(migrateMemory(data[key]));
         }
       }
 
@@ -32,47 +105,923 @@
       }
 
       clearAll.style.display = "";
+
+      var terms   = searchTerms(searchEl.value);
+      var matched = [];
+      for (var m = 0; m < memories.length; m++) {
+        if (passesFilters(memories[m]) && matchesTerms(memories[m], terms)) {
+          matched.push(memories[m]);
+        }
+      }
+
+      if (matched.length === 0) {
+        cardsEl.innerHTML = '<div class="empty">No memories match.</div>';
+        return;
+      }
+
       cardsEl.innerHTML = "";
-      for (var i = 0; i < memories.length; i++) {
-        cardsEl.appendChild(renderCard(memories[i]));
+      for (var i = 0; i < matched.length; i++) {
+        cardsEl.appendChild(renderCard(matched[i], terms));
       }
     });
   }
 
-  function renderCard(mem) {
+  // ─── Search ───────────────────────────────────────────────────────────────
+
+  function searchTerms(query) {
+    var parts = query.toLowerCase().split(/\s+/);
+    var terms = [];
+    for (var i = 0; i < parts.length; i++) {
+      if (parts[i]) terms.push(parts[i]);
+    }
+    return terms;
+  }
+
+  // Flattens every searchable list item into { label, text } pairs.
+  function searchableItems(mem) {
+    var items = [];
+    var i;
+    var ents = mem.entities || [];
+    for (i = 0; i < ents.length; i++) {
+      items.push({ label: "Entity", text: ents[i].name + (ents[i].summary ? " \u2014 " + ents[i].summary : "") });
+    }
+    var facts = mem.facts || [];
+    for (i = 0; i < facts.length; i++) items.push({ label: "Fact", text: facts[i].text });
+    var decs = mem.decisions || [];
+    for (i = 0; i < decs.length; i++) items.push({ label: "Decision", text: decs[i].text || String(decs[i]) });
+    var qs = mem.open_questions || [];
+    for (i = 0; i < qs.length; i++) items.push({ label: "Question", text: qs[i].text || String(qs[i]) });
+    var settled = mem.resolved_questions || [];
+    for (i = 0; i < settled.length; i++) {
+      items.push({ label: "Resolved", text: settled[i].text + (settled[i].answer ? " \u2192 " + settled[i].answer : "") });
+    }
+    var cons = mem.constraints || [];
+    for (i = 0; i < cons.length; i++) items.push({ label: "Constraint", text: cons[i].text || String(cons[i]) });
+    return items;
+  }
+
+  // Every term must appear somewhere in the memory, not necessarily in the
+  // same field — "postgres decided" finds a decision about Postgres.
+  function matchesTerms(mem, terms) {
+    if (terms.length === 0) return true;
+    var hay = [mem.topic || "", mem.user_goal || ""];
+    var items = searchableItems(mem);
+    for (var i = 0; i < items.length; i++) hay.push(items[i].text);
+    hay = hay.join("\n").toLowerCase();
+    for (var t = 0; t < terms.length; t++) {
+      if (hay.indexOf(terms[t]) === -1) return false;
+    }
+    return true;
+  }
+
+  function hasTerm(text, terms) {
+    var lower = text.toLowerCase();
+    for (var t = 0; t < terms.length; t++) {
+      if (lower.indexOf(terms[t]) !== -1) return true;
+    }
+    return false;
+  }
+
+  // Escapes text and wraps every occurrence of any term in <mark>.
+  function highlight(text, terms) {
+    if (!text || terms.length === 0) return esc(text || "");
+    var lower  = text.toLowerCase();
+    var marked = [];
+    for (var t = 0; t < terms.length; t++) {
+      var from = 0, at;
+      while ((at = lower.indexOf(terms[t], from)) !== -1) {
+        for (var c = at; c < at + terms[t].length; c++) marked[c] = true;
+        from = at + terms[t].length;
+      }
+    }
+    var html = "", run = "", inMark = false;
+    for (var i = 0; i <= text.length; i++) {
+      var isMarked = i < text.length && !!marked[i];
+      if (i === text.length || isMarked !== inMark) {
+        html += inMark ? "<mark>" + esc(run) + "</mark>" : esc(run);
+        run = "";
+        inMark = isMarked;
+      }
+      if (i < text.length) run += text[i];
+    }
+    return html;
+  }
+
+  // ─── Filters ──────────────────────────────────────────────────────────────
+
+  // Conversation IDs are prefixed with the model key of the chat they were
+  // captured from ("claude_…", "gemini_…"), except ChatGPT's bare IDs.
+  // Project memories (utils/projects.js) gather several sources and match none.
+  function sourceModelOf(convId) {
+    if (convId.indexOf(PROJECT_PREFIX) === 0) return "";
+    for (var key in MODEL_REGISTRY) {
+      if (convId.indexOf(key + "_") === 0) return key;
+    }
+    return "chatgpt";
+  }
+
+  function passesFilters(mem) {
+    if (modelEl.value && sourceModelOf(mem.conversation_id || "") !== modelEl.value) {
+      return false;
+    }
+    var day = (mem.updated_at || "").slice(0, 10);
+    if (fromEl.value && day < fromEl.value) return false;
+    if (toEl.value   && day > toEl.value)   return false;
+    return true;
+  }
+
+  function renderCard(mem, terms) {
     var card = document.createElement("div");
     card.className = "card";
 
     var topic   = mem.topic || "(untitled)";
     var goal    = mem.user_goal || "";
     var ents    = (mem.entities || []).length;
+    var facts   = (mem.facts || []).length;
     var decs    = (mem.decisions || []).length;
     var iters   = mem.iteration_count || 0;
+    var clashes = (mem.conflicts || []).length;
     var updated = mem.updated_at ? relTime(mem.updated_at) : "unknown";
     var convId  = mem.conversation_id || "";
 
+    var hits = "";
+    if (terms.length > 0) {
+      var items = searchableItems(mem);
+      var shown = 0;
+      for (var h = 0; h < items.length && shown < 3; h++) {
+        if (!hasTerm(items[h].text, terms)) continue;
+        hits += '<div class="card-hit"><span class="hit-label">' + items[h].label + '</span>' +
+          highlight(items[h].text, terms) + '</div>';
+        shown++;
+      }
+    }
+
     card.innerHTML =
-      '<div class="card-topic">' + esc(topic) + '</div>' +
-      (goal ? '<div class="card-goal">' + esc(goal) + '</div>' : '') +
+      '<div class="card-topic">' + highlight(topic, terms) +
+        (convId.indexOf(PROJECT_PREFIX) === 0 ? ' <span class="hit-label">project</span>' : '') + '</div>' +
+      (goal ? '<div class="card-goal">' + highlight(goal, terms) + '</div>' : '') +
+      (hits ? '<div class="card-hits">' + hits + '</div>' : '') +
       '<div class="card-stats">' +
         '<span><span class="stat-num">' + ents  + '</span> entities</span>' +
+        '<span><span class="stat-num">' + facts + '</span> facts</span>' +
         '<span><span class="stat-num">' + decs  + '</span> decisions</span>' +
         '<span><span class="stat-num">' + iters + '</span> hops</span>' +
+        (clashes ? '<span class="stat-warn">\u26A0 ' + clashes + ' conflict' + (clashes === 1 ? '' : 's') + '</span>' : '') +
       '</div>' +
       '<div class="card-footer">' +
         '<span class="card-time">' + updated + '</span>' +
         '<button class="card-clear" data-id="' + esc(convId) + '">Clear</button>' +
       '</div>';
 
-    card.querySelector(".card-clear").addEventListener("click", function () {
+    card.querySelector(".card-clear").addEventListener("click", function (e) {
+      e.stopPropagation();
       var id = this.dataset.id;
       if (!id) return;
-      chrome.storage.local.remove("dupermemory_" + id, load);
+      chrome.storage.local.remove([memoryKey(id), timelineKey(id)], load);
+    });
+
+    card.classList.add("card--link");
+    card.addEventListener("click", function () {
+      if (!convId) return;
+      openDetail(convId);
+    });
+
+    return card;
+  }
+
+  // ─── Detail view ──────────────────────────────────────────────────────────
+
+  function openDetail(convId) {
+    detailId = convId;
+    originKey = "";
+    view = "detail";
+    load();
+  }
+
+  var DETAIL_SECTIONS = [
+    { field: "entities",       label: "Entities" },
+    { field: "facts",          label: "Facts" },
+    { field: "decisions",      label: "Decisions" },
+    { field: "open_questions", label: "Open questions", resolvable: true },
+    { field: "constraints",    label: "Constraints" },
+  ];
+
+  function loadDetail() {
+    readMemory(detailId).then(function (mem) {
+      if (view !== "detail") return;
+      cardsEl.innerHTML = "";
+
+      var head = document.createElement("div");
+      head.className = "detail-head";
+      head.innerHTML =
+        '<button class="card-action" data-act="back">\u2190 Back</button>' +
+        '<span class="detail-topic">' + esc(mem.topic || "(untitled)") + '</span>' +
+        '<button class="card-action" data-act="timeline">Timeline</button>';
+      head.querySelector('[data-act="back"]').addEventListener("click", function () {
+        view = "memories";
+        load();
+      });
+      head.querySelector('[data-act="timeline"]').addEventListener("click", function () {
+        view = "timeline";
+        load();
+      });
+      cardsEl.appendChild(head);
+
+      if (mem.user_goal) {
+        var goal = document.createElement("div");
+        goal.className = "card-goal";
+        goal.textContent = mem.user_goal;
+        cardsEl.appendChild(goal);
+      }
+
+      if (mem.conflicts && mem.conflicts.length > 0) {
+        cardsEl.appendChild(renderConflicts(mem.conflicts));
+      }
+
+      cardsEl.appendChild(renderOriginFilter());
+
+      for (var s = 0; s < DETAIL_SECTIONS.length; s++) {
+        cardsEl.appendChild(renderSection(DETAIL_SECTIONS[s], mem[DETAIL_SECTIONS[s].field] || []));
+      }
+
+      var resolved = mem.resolved_questions || [];
+      if (resolved.length > 0) {
+        cardsEl.appendChild(renderSection({ field: "resolved_questions", label: "Resolved questions" }, resolved));
+      }
+    });
+  }
+
+  function renderConflicts(conflicts) {
+    var wrap = document.createElement("div");
+    wrap.className = "section";
+    wrap.innerHTML = '<div class="section-title section-title--warn">Conflicts <span class="stat-num">' +
+      conflicts.length + '</span></div>';
+
+    for (var c = 0; c < conflicts.length; c++) {
+      var rec = conflicts[c];
+      var isField = rec.kind === "field";
+      var row = document.createElement("div");
+      row.className = "item item--conflict";
+      row.innerHTML =
+        '<div class="item-text">' + esc(rec.existing) + ' <span class="hit-label">vs</span> ' + esc(rec.incoming) + '</div>' +
+        '<div class="item-variants">' + esc(rec.reason) +
+          (rec.origin ? ' \u00b7 raised by ' + esc(originLabel(rec.origin)) : '') + '</div>' +
+        '<div class="hist-actions">' +
+          '<button class="card-action" data-keep="existing">' + (isField ? "Restore previous" : "Keep earlier") + '</button>' +
+          '<button class="card-action" data-keep="incoming">' + (isField ? "Keep current" : "Keep newer") + '</button>' +
+          (isField ? '' : '<button class="card-action" data-keep="both">Keep both</button>') +
+        '</div>';
+
+      var buttons = row.querySelectorAll("[data-keep]");
+      for (var b = 0; b < buttons.length; b++) {
+        buttons[b].addEventListener("click", resolveConflictHandler(rec.id));
+      }
+      wrap.appendChild(row);
+    }
+    return wrap;
+  }
+
+  function resolveConflictHandler(conflictId) {
+    return function () {
+      var keep = this.dataset.keep;
+      updateMemory(detailId, function (mem) {
+        if (!resolveConflict(mem, conflictId, keep)) return false;
+        mem.updated_at = new Date().toISOString();
+      }).then(load, showWriteError);
+    };
+  }
+
+  function renderOriginFilter() {
+    var row = document.createElement("div");
+    row.className = "filter-row origin-filter";
+    var options = '<option value="">Added by any model</option>';
+    for (var key in MODEL_REGISTRY) {
+      options += '<option value="' + key + '"' + (key === originKey ? " selected" : "") + '>' +
+        'Decided by ' + esc(MODEL_REGISTRY[key].name) + '</option>';
+    }
+    row.innerHTML = '<select>' + options + '</select>';
+    row.querySelector("select").addEventListener("change", function () {
+      originKey = this.value;
+      load();
+    });
+    return row;
+  }
+
+  // Entities match on the model that first named them or last updated them;
+  // resolved questions on the model that answered them.
+  function matchesOrigin(field, item) {
+    if (!originKey) return true;
+    if (field === "resolved_questions") return item.resolved_by === originKey;
+    if (item.origin && item.origin.model === originKey) return true;
+    return field === "entities" && !!item.last_origin && item.last_origin.model === originKey;
+  }
+
+  function renderSection(section, items) {
+    var wrap = document.createElement("div");
+    wrap.className = "section";
+
+    var shown = 0;
+    for (var i = 0; i < items.length; i++) {
+      if (!matchesOrigin(section.field, items[i])) continue;
+      wrap.appendChild(renderItem(section, items[i], i));
+      shown++;
+    }
+
+    if (shown === 0) {
+      var none = document.createElement("div");
+      none.className = "item-empty";
+      none.textContent = "None";
+      wrap.appendChild(none);
+    }
+
+    var title = document.createElement("div");
+    title.className = "section-title";
+    title.innerHTML = section.label + ' <span class="stat-num">' +
+      (shown === items.length ? items.length : shown + " of " + items.length) + '</span>';
+    wrap.insertBefore(title, wrap.firstChild);
+    return wrap;
+  }
+
+  function originLabel(origin) {
+    if (!origin || !origin.model) return "";
+    return modelName(origin.model) + (origin.hop ? " \u00b7 hop " + origin.hop : "");
+  }
+
+  function renderItem(section, item, index) {
+    var row = document.createElement("div");
+    row.className = "item" + (item.pinned ? " item--pinned" : "") +
+      (item.status === "conflict" ? " item--conflict" : "");
+
+    var editable = section.field !== "resolved_questions";
+    row.innerHTML =
+      '<div class="item-text">' + (item.pinned ? '<span class="pin">\u2605</span>' : '') +
+        esc(itemLabel(section.field, item)) + '</div>' +
+      (item.variants && item.variants.length > 0
+        ? '<div class="item-variants">Also phrased as: ' + esc(item.variants.join(" \u00b7 ")) + '</div>'
+        : '') +
+      (item.origin || item.last_origin
+        ? '<div class="item-variants" title="Reply ' + esc((item.last_origin || item.origin).reply_id || "unknown") + '">' +
+            (item.origin ? 'Added by ' + esc(originLabel(item.origin)) : '') +
+            (item.origin && item.last_origin ? ', updated by ' : (item.last_origin ? 'Updated by ' : '')) +
+            (item.last_origin ? esc(originLabel(item.last_origin)) : '') + '</div>'
+        : '') +
+      '<div class="hist-actions">' +
+        (editable ? '<button class="card-action" data-act="edit">Edit</button>' : '') +
+        (editable ? '<button class="card-action" data-act="pin">' + (item.pinned ? "Unpin" : "Pin") + '</button>' : '') +
+        (section.resolvable ? '<button class="card-action" data-act="resolve">Mark resolved</button>' : '') +
+        '<button class="card-clear" data-act="delete">Delete</button>' +
+      '</div>';
+
+    var key = itemKey(section.field, item);
+    var actions = row.querySelectorAll("[data-act]");
+    for (var a = 0; a < actions.length; a++) {
+      actions[a].addEventListener("click", function () {
+        var act = this.dataset.act;
+        if (act === "edit") {
+          renderEditor(row, section.field, item, index, key);
+          return;
+        }
+        editMemoryItem(section.field, index, key, function (mem, list, i) {
+          if (act === "delete") {
+            list.splice(i, 1);
+          } else if (act === "pin") {
+            list[i].pinned = !list[i].pinned;
+          } else if (act === "resolve") {
+            settleQuestion(mem, i, list[i].text, "", "user");
+          }
+        });
+      });
+    }
+    return row;
+  }
+
+  function renderEditor(row, field, item, index, key) {
+    var isEntity = field === "entities";
+    row.innerHTML =
+      (isEntity
+        ? '<input class="item-input" data-f="name" placeholder="Name">' +
+          '<input class="item-input" data-f="type" placeholder="Type">' +
+          '<textarea class="item-input" data-f="summary" rows="2" placeholder="Summary"></textarea>'
+        : '<textarea class="item-input" data-f="text" rows="2"></textarea>') +
+      '<div class="hist-actions">' +
+        '<button class="card-action" data-act="save">Save</button>' +
+        '<button class="card-action" data-act="cancel">Cancel</button>' +
+      '</div>';
+
+    var inputs = row.querySelectorAll(".item-input");
+    for (var n = 0; n < inputs.length; n++) {
+      var f = inputs[n].dataset.f;
+      inputs[n].value = f === "text" ? (item.text || item) : (item[f] || "");
+    }
+
+    row.querySelector('[data-act="cancel"]').addEventListener("click", load);
+    row.querySelector('[data-act="save"]').addEventListener("click", function () {
+      var values = {};
+      for (var v = 0; v < inputs.length; v++) {
+        values[inputs[v].dataset.f] = inputs[v].value.trim();
+      }
+      if (!(isEntity ? values.name : values.text)) return;
+
+      editMemoryItem(field, index, key, function (mem, list, i) {
+        if (isEntity) {
+          list[i].name    = values.name;
+          list[i].type    = values.type || "other";
+          list[i].summary = values.summary;
+        } else {
+          list[i].text = values.text;
+        }
+      });
+    });
+  }
+
+  // Finds the item the row was rendered from in a fresh copy of the memory
+  // and lets mutate(memory, list, index) change it. The item is located by
+  // its text so a merge that landed since the view was drawn cannot shift
+  // the target.
+  function editMemoryItem(field, index, key, mutate) {
+    updateMemory(detailId, function (mem) {
+      var list = mem[field] || [];
+      var i = (list[index] && itemKey(field, list[index]) === key) ? index : -1;
+      for (var j = 0; i === -1 && j < list.length; j++) {
+        if (itemKey(field, list[j]) === key) i = j;
+      }
+      if (i === -1) return false;
+      mem[field] = list;
+      mutate(mem, list, i);
+      syncConflicts(mem);
+      mem.updated_at = new Date().toISOString();
+    }).then(load, showWriteError);
+  }
+
+  function itemKey(field, item) {
+    return field === "entities" ? item.name : (item.text || item);
+  }
+
+  function itemLabel(field, item) {
+    if (field === "entities") {
+      return item.name + " (" + (item.type || "other") + ")" + (item.summary ? ": " + item.summary : "");
+    }
+    if (field === "resolved_questions") {
+      var by = item.resolved_by === "user" ? "you" : (item.resolved_by ? modelName(item.resolved_by) : "");
+      return item.text + (item.answer ? " \u2192 " + item.answer : "") + (by ? " (" + by + ")" : "");
+    }
+    return item.text || item;
+  }
+
+  // ─── Timeline ─────────────────────────────────────────────────────────────
+
+  function loadTimeline() {
+    readTimeline(detailId).then(function (snapshots) {
+      if (view !== "timeline") return;
+      cardsEl.innerHTML = "";
+
+      var head = document.createElement("div");
+      head.className = "detail-head";
+      head.innerHTML =
+        '<button class="card-action">\u2190 Back</button>' +
+        '<span class="detail-topic">Timeline</span>';
+      head.querySelector("button").addEventListener("click", function () {
+        view = "detail";
+        load();
+      });
+      cardsEl.appendChild(head);
+
+      if (snapshots.length === 0) {
+        cardsEl.insertAdjacentHTML("beforeend", '<div class="empty">No snapshots yet. One is kept per hop.</div>');
+        return;
+      }
+
+      // Newest first; each snapshot is diffed against the one before it.
+      for (var i = snapshots.length - 1; i >= 0; i--) {
+        var before = i > 0 ? snapshots[i - 1].memory : null;
+        cardsEl.appendChild(renderSnapshot(snapshots[i], before, i === snapshots.length - 1));
+      }
+    });
+  }
+
+  // The latest snapshot can still be rolled back to: it drops edits made in
+  // the popup since that hop.
+  function renderSnapshot(snapshot, before, isLatest) {
+    var row = document.createElement("div");
+    row.className = "item";
+
+    var title = snapshot.kind === "rollback"
+      ? "Rolled back"
+      : "Hop " + snapshot.hop + " \u00b7 " + modelName(snapshot.model);
+
+    var changes = diffSnapshots(before, snapshot.memory);
+    var lines = "";
+    for (var c = 0; c < changes.length; c++) {
+      var sign = changes[c].type === "added" ? "+" : (changes[c].type === "removed" ? "\u2212" : "~");
+      lines += '<div class="change change-' + changes[c].type + '">' + sign + ' ' +
+        '<span class="hit-label">' + esc(changes[c].label) + '</span>' + esc(changes[c].text) + '</div>';
+    }
+
+    row.innerHTML =
+      '<div class="item-text">' + esc(title) + (isLatest ? ' <span class="hit-label">latest</span>' : '') + '</div>' +
+      '<div class="item-variants" title="Reply ' + esc(snapshot.reply_id || "unknown") + '">' +
+        esc(snapshot.taken_at ? relTime(snapshot.taken_at) : "unknown") + '</div>' +
+      (lines || '<div class="item-empty">No changes</div>') +
+      '<div class="hist-actions">' +
+        '<button class="card-action">Roll back to here</button>' +
+      '</div>';
+
+    var btn = row.querySelector("button");
+    btn.addEventListener("click", function () {
+      btn.disabled = true;
+      chrome.runtime.sendMessage({ type: "MEMORY_ROLLBACK", conversationId: detailId, takenAt: snapshot.taken_at }, function (res) {
+        if (!res || !res.ok) showNotice("Rollback failed: that snapshot is no longer in the timeline.", true);
+        load();
+      });
+    });
+    return row;
+  }
+
+  // ─── Entities ─────────────────────────────────────────────────────────────
+
+  function loadEntities() {
+    readEntityIndex().then(function (index) {
+      if (view !== "entities") return;
+      if (index.length === 0) {
+        cardsEl.innerHTML = '<div class="empty">No entities yet.</div>';
+        return;
+      }
+      cardsEl.innerHTML = "";
+      for (var i = 0; i < index.length; i++) {
+        cardsEl.appendChild(renderEntity(index[i]));
+      }
     });
+  }
+
+  function renderEntity(entry) {
+    var card = document.createElement("div");
+    card.className = "card";
 
+    var count = entry.conversations.length;
+    var convs = "";
+    for (var c = 0; c < count; c++) {
+      var conv = entry.conversations[c];
+      convs += '<span class="entity-conv" data-id="' + esc(conv.id) + '"' +
+        (conv.summary ? ' title="' + esc(conv.summary) + '"' : '') + '>\u2192 ' +
+        esc(conv.topic || "(untitled)") + '</span>';
+    }
+
+    card.innerHTML =
+      '<div class="card-topic">' + esc(entry.name) + ' <span class="hit-label">' + esc(entry.type) + '</span></div>' +
+      (entry.summary ? '<div class="card-goal">' + esc(entry.summary) + '</div>' : '') +
+      '<div class="card-stats">' +
+        '<span><span class="stat-num">' + count + '</span> conversation' + (count === 1 ? '' : 's') + '</span>' +
+        '<span><span class="stat-num">' + entry.mentions + '</span> mentions</span>' +
+      '</div>' +
+      '<div class="entity-convs">' + convs + '</div>';
+
+    var links = card.querySelectorAll(".entity-conv");
+    for (var l = 0; l < links.length; l++) {
+      links[l].addEventListener("click", function () {
+        openDetail(this.dataset.id);
+      });
+    }
     return card;
   }
 
+  // ─── History ──────────────────────────────────────────────────────────────
+
+  function loadHistory() {
+    readHistory().then(function (entries) {
+      if (view !== "history") return;
+      if (entries.length === 0) {
+        cardsEl.innerHTML = '<div class="empty">No transfers yet.</div>';
+        return;
+      }
+      cardsEl.innerHTML = "";
+      for (var i = 0; i < entries.length; i++) {
+        cardsEl.appendChild(renderHistoryRow(entries[i]));
+      }
+    });
+  }
+
+  function renderHistoryRow(entry) {
+    var card = document.createElement("div");
+    card.className = "card";
+
+    var route   = modelName(entry.source) + " \u2192 " + modelName(entry.target);
+    var status  = entry.status || "pending";
+    var preview = status === "failed" ? (entry.error || "failed") : (entry.reply || "");
+    var started = entry.started_at ? relTime(entry.started_at) : "unknown";
+
+    var options = "";
+    for (var key in MODEL_REGISTRY) {
+      options += '<option value="' + key + '"' + (key === entry.target ? " selected" : "") + '>' +
+        esc(MODEL_REGISTRY[key].name) + '</option>';
+    }
+
+    card.innerHTML =
+      '<div class="hist-route">' + esc(route) +
+        '<span class="hist-status ' + status + '">' + status + '</span></div>' +
+      (preview ? '<div class="hist-preview">' + esc(preview) + '</div>' : '') +
+      '<div class="card-footer">' +
+        '<span class="card-time">' + started + (entry.kind !== "capture" ? " \u00b7 " + esc(historyKindLabel(entry)) : "") + '</span>' +
+        '<span class="hist-actions">' +
+          (entry.reply ? '<button class="card-action" data-act="view">View</button>' : '') +
+          (entry.target_url ? '<button class="card-action" data-act="reopen">Reopen</button>' : '') +
+          '<select>' + options + '</select>' +
+          '<button class="card-action" data-act="resend"' + (entry.transcript ? '' : ' disabled') + '>Re-send</button>' +
+          '<button class="card-clear" data-act="delete">Delete</button>' +
+        '</span>' +
+      '</div>';
+
+    var actions = card.querySelectorAll("[data-act]");
+    for (var i = 0; i < actions.length; i++) {
+      actions[i].addEventListener("click", function () {
+        handleHistoryAction(this, entry, card);
+      });
+    }
+
+    return card;
+  }
+
+  function handleHistoryAction(btn, entry, card) {
+    var act = btn.dataset.act;
+
+    if (act === "view") {
+      var preview = card.querySelector(".hist-preview");
+      var open    = preview.classList.toggle("open");
+      btn.textContent = open ? "Hide" : "View";
+      return;
+    }
+
+    if (act === "reopen") {
+      chrome.tabs.create({ url: entry.target_url });
+      return;
+    }
+
+    if (act === "resend") {
+      btn.disabled = true;
+      chrome.runtime.sendMessage({
+        type:        "HISTORY_RESEND",
+        historyId:   entry.id,
+        targetModel: card.querySelector("select").value,
+      }, function () {
+        // The new transfer logs itself; give the worker a moment, then refresh.
+        setTimeout(load, 300);
+      });
+      return;
+    }
+
+    if (act === "delete") {
+      chrome.runtime.sendMessage({ type: "HISTORY_DELETE", historyId: entry.id }, load);
+    }
+  }
+
+  function modelName(key) {
+    return (key && MODEL_REGISTRY[key]) ? MODEL_REGISTRY[key].name : "Selection";
+  }
+
+  for (var t = 0; t < tabs.length; t++) {
+    tabs[t].addEventListener("click", function () {
+      view = this.dataset.view;
+      for (var j = 0; j < tabs.length; j++) {
+        tabs[j].classList.toggle("active", tabs[j] === this);
+      }
+      load();
+    });
+  }
+
+  for (var key in MODEL_REGISTRY) {
+    var opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = MODEL_REGISTRY[key].name;
+    modelEl.appendChild(opt);
+  }
+
+  searchEl.addEventListener("input", load);
+  modelEl.addEventListener("change", load);
+  fromEl.addEventListener("change", load);
+  toEl.addEventListener("change", load);
+
+  // ─── Backup ───────────────────────────────────────────────────────────────
+
+  document.getElementById("export").addEventListener("click", function () {
+    buildBackupBundle().then(function (bundle) {
+      downloadBundle(bundle, "dupermemory-backup-");
+      showNotice("Exported " + bundle.memories.length + " conversation" +
+        (bundle.memories.length === 1 ? "" : "s") + ".");
+    }).catch(function (err) {
+      showNotice("Export failed: " + err.message, true);
+    });
+  });
+
+  document.getElementById("import").addEventListener("click", function () {
+    importBar.hidden = !importBar.hidden;
+  });
+  document.getElementById("import-cancel").addEventListener("click", function () {
+    importBar.hidden = true;
+  });
+  document.getElementById("import-choose").addEventListener("click", function () {
+    fileEl.value = "";
+    fileEl.click();
+  });
+
+  fileEl.addEventListener("change", function () {
+    var file = fileEl.files && fileEl.files[0];
+    if (!file) return;
+    var mode = document.getElementById("import-mode").value;
+
+    var reader = new FileReader();
+    reader.onload = function () {
+      var bundle;
+      try {
+        bundle = JSON.parse(reader.result);
+      } catch (e) {
+        showNotice("Import failed: file is not valid JSON.", true);
+        return;
+      }
+      importBackupBundle(bundle, mode).then(function (report) {
+        importBar.hidden = true;
+        renderImportReport(report);
+        load();
+      }).catch(function (err) {
+        showNotice("Import failed: " + err.message + ".", true);
+      });
+    };
+    reader.readAsText(file);
+  });
+
+  function downloadBundle(bundle, prefix) {
+    var blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" });
+    var url  = URL.createObjectURL(blob);
+
+    var anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = prefix + bundle.exported_at.slice(0, 10) + ".json";
+    anchor.style.display = "none";
+    document.body.appendChild(anchor);
+    anchor.click();
+
+    setTimeout(function () {
+      document.body.removeChild(anchor);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+
+  function renderImportReport(report) {
+    var html = "Imported: " + report.added + " new, " + report.merged + " merged, " +
+      report.replaced + " replaced, " + report.skipped.length + " skipped.";
+    var i;
+    if (report.skipped.length > 0) {
+      html += "<ul>";
+      for (i = 0; i < report.skipped.length; i++) {
+        html += "<li>Skipped " + esc(report.skipped[i].id) + ": " + esc(report.skipped[i].reason) + "</li>";
+      }
+      html += "</ul>";
+    }
+    if (report.conflicts.length > 0) {
+      html += "<div>Conflicts (newer value kept; the local vault is never replaced in merge mode):</div><ul>";
+      for (i = 0; i < report.conflicts.length; i++) {
+        var c = report.conflicts[i];
+        html += "<li>" + esc(c.id) + " \u00b7 " + esc(c.field) + ": \u201c" + esc(truncate(c.local)) +
+          "\u201d vs \u201c" + esc(truncate(c.imported)) + "\u201d</li>";
+      }
+      html += "</ul>";
+    }
+    noticeEl.className = "notice";
+    noticeEl.innerHTML = html;
+    noticeEl.hidden = false;
+  }
+
+  function showNotice(text, isError) {
+    noticeEl.className = "notice" + (isError ? " error" : "");
+    noticeEl.textContent = text;
+    noticeEl.hidden = false;
+  }
+
+  // A popup edit that could not be saved, most likely because storage is full.
+  function showWriteError(err) {
+    showNotice(err.message, true);
+    load();
+  }
+
+  // ─── Storage and retention ────────────────────────────────────────────────
+
+  function loadStorage() {
+    getStorageUsage().then(function (usage) {
+      document.getElementById("storage-text").textContent =
+        "Storage " + formatBytes(usage.used) + " of " + formatBytes(usage.quota);
+      document.getElementById("storage-fill").style.width = Math.min(100, usage.ratio * 100).toFixed(1) + "%";
+      storageEl.classList.toggle("warn", usage.ratio >= STORAGE_WARN_RATIO);
+    });
+    withExpiredMemories(function (expired) {
+      runEl.textContent = "Archive (" + expired.length + ")";
+      runEl.disabled = expired.length === 0;
+    });
+  }
+
+  function withExpiredMemories(callback) {
+    readSettings().then(function (settings) {
+      chrome.storage.local.get(null, function (data) {
+        if (chrome.runtime.lastError) return;
+        callback(findExpiredMemories(data, settings.retention, Date.now()));
+      });
+    });
+  }
+
+  document.getElementById("settings").addEventListener("click", function () {
+    chrome.runtime.openOptionsPage();
+  });
+
+  document.getElementById("retention-toggle").addEventListener("click", function () {
+    var form = document.getElementById("retention");
+    form.hidden = !form.hidden;
+    if (form.hidden) return;
+    readSettings().then(function (settings) {
+      ageEl.value   = settings.retention.max_age_days;
+      countEl.value = settings.retention.max_memories;
+    });
+  });
+
+  document.getElementById("retention-save").addEventListener("click", function () {
+    readSettings().then(function (settings) {
+      settings.retention.max_age_days = Math.max(0, parseInt(ageEl.value, 10) || 0);
+      settings.retention.max_memories = Math.max(0, parseInt(countEl.value, 10) || 0);
+      return writeSettings(settings);
+    }).then(function () {
+      showNotice("Retention saved. Memories with pinned items are always kept.");
+      loadStorage();
+    }).catch(function (err) {
+      showNotice("Could not save retention: " + err.message, true);
+    });
+  });
+
+  // Memories in the last downloaded archive: { conversation_id → updated_at }.
+  var archived = null;
+
+  // Downloads the archive, then offers to delete what it holds.
+  runEl.addEventListener("click", function () {
+    runEl.disabled = true;
+    withExpiredMemories(function (expired) {
+      if (expired.length === 0) return;
+      downloadBundle(buildArchiveBundle(expired), "dupermemory-archive-");
+      archived = {};
+      for (var i = 0; i < expired.length; i++) {
+        archived[expired[i].conversation_id] = expired[i].updated_at || "";
+      }
+      purgeEl.textContent = "Delete " + expired.length + " archived";
+      purgeEl.hidden = false;
+      runEl.disabled = false;
+      showNotice("Archive downloaded. Check that the file was saved, then delete the archived memories.");
+    });
+  });
+
+  // Deletes only memories unchanged since they were archived, so nothing
+  // newer than the file is lost.
+  purgeEl.addEventListener("click", function () {
+    if (!archived) return;
+    var count = Object.keys(archived).length;
+    if (!confirm("Delete " + count + " archived memor" + (count === 1 ? "y" : "ies") + "? " +
+      "Only continue if the archive file was saved; deleted memories cannot be recovered without it.")) {
+      return;
+    }
+    purgeEl.disabled = true;
+    chrome.storage.local.get(null, function (data) {
+      if (chrome.runtime.lastError) {
+        purgeEl.disabled = false;
+        return;
+      }
+      var ids = [];
+      for (var id in archived) {
+        var stored = data[memoryKey(id)];
+        if (stored && (stored.updated_at || "") === archived[id]) ids.push(id);
+      }
+      archived = null;
+      deleteMemories(ids).then(function () {
+        purgeEl.hidden = true;
+        purgeEl.disabled = false;
+        var skipped = count - ids.length;
+        showNotice("Deleted " + ids.length + " memor" + (ids.length === 1 ? "y" : "ies") + "." +
+          (skipped ? " " + skipped + " changed since the archive and were kept." : ""));
+        load();
+      });
+    });
+  });
+
+  // ─── Helpers ──────────────────────────────────────────────────────────────
+
+  function formatBytes(n) {
+    if (n < 1024) return n + " B";
+    if (n < 1048576) return (n / 1024).toFixed(1) + " KB";
+    return (n / 1048576).toFixed(1) + " MB";
+  }
+
+  function historyKindLabel(entry) {
+    var mode = entry.kind === "mode" && MODE_REGISTRY[entry.mode];
+    return mode ? mode.name.toLowerCase() : entry.kind;
+  }
+
+  function truncate(s) {
+    s = String(s || "");
+    return s.length > 60 ? s.slice(0, 57) + "\u2026" : s;
+  }
+
   function relTime(iso) {
     try {
       var ms  = Date.now() - new Date(iso).getTime();
@@ -97,7 +1046,7 @@
     chrome.storage.local.get(null, function (data) {
       var keys = [];
       for (var k in data) {
-        if (k.indexOf("dupermemory_") === 0) keys.push(k);
+        if (isStoredMemory(k, data[k]) || k.indexOf(TIMELINE_PREFIX) === 0) keys.push(k);
       }
       if (keys.length === 0) return;
       chrome.storage.local.remove(keys, load);
@@ -0,0 +1,238 @@
+// utils/backup.js — Export / import of all DuperMemory data
+//
+// Loaded by popup.html, after utils/memory.js (uses isStoredMemory,
+// migrateMemory, mergeStoredMemory, updateMemory and CURRENT_MEMORY_VERSION)
+// and utils/settings.js (merges evict with the user's limits).
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs except chrome.storage.local.
+//
+// Bundle shape (one JSON file):
+//   {
+//     format:      "dupermemory-backup",
+//     version:     1,
+//     exported_at: ISO string,
+//     memories:    [ memory, ... ],          ← every conversation memory
+//     vault:       "..." | null,             ← dm_global_vault
+//     extras:      { key → value }           ← other dupermemory_* keys (FAB position)
+//   }
+//
+// Import modes, applied per conversation:
+//   "merge"     — combine with the stored memory (mergeStoredMemory); fields
+//                 that disagree are reported as conflicts, the newer wins
+//   "overwrite" — replace the stored memory with the imported one
+// Memories that fail validation are skipped and reported, never written.
+// Memories are migrated and normalized (migrateMemory) first, so a backup
+// missing user_goal or holding a null list entry is repaired rather than
+// skipped; then every remaining list item is checked, so a malformed item
+// cannot break a merge or the popup later.
+
+var BACKUP_FORMAT  = "dupermemory-backup";
+var BACKUP_VERSION = 1;
+var DM_VAULT_KEY   = "dm_global_vault";
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+// Resolves to the bundle object.
+function buildBackupBundle() {
+  return new Promise(function (resolve, reject) {
+    chrome.storage.local.get(null, function (data) {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      var bundle = {
+        format:      BACKUP_FORMAT,
+        version:     BACKUP_VERSION,
+        exported_at: new Date().toISOString(),
+        memories:    [],
+        vault:       typeof data[DM_VAULT_KEY] === "string" ? data[DM_VAULT_KEY] : null,
+        extras:      {},
+      };
+      for (var key in data) {
+        if (isStoredMemory(key, data[key])) {
+          bundle.memories.push(data[key]);
+        } else if (key.indexOf("dupermemory_") === 0) {
+          bundle.extras[key] = data[key];
+        }
+      }
+      resolve(bundle);
+    });
+  });
+}
+
+// Returns a bundle holding only the given memories, for archiving them
+// before retention deletes them (utils/retention.js). It imports like any
+// other backup.
+function buildArchiveBundle(memories) {
+  return {
+    format:      BACKUP_FORMAT,
+    version:     BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    memories:    memories,
+    vault:       null,
+    extras:      {},
+  };
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+// Returns an error string for a bundle that cannot be imported at all,
+// or "" if its envelope is usable.
+function validateBackupBundle(bundle) {
+  if (!bundle || typeof bundle !== "object") return "not a JSON object";
+  if (bundle.format !== BACKUP_FORMAT) return "not a DuperMemory backup";
+  if (typeof bundle.version !== "number" || bundle.version > BACKUP_VERSION) {
+    return "backup version " + bundle.version + " is not supported";
+  }
+  if (!Array.isArray(bundle.memories)) return "missing memories list";
+  return "";
+}
+
+// Returns an error string for a memory that must be skipped, or "".
+function validateBackupMemory(memory) {
+  if (!memory || typeof memory !== "object") return "not an object";
+  if (typeof memory.conversation_id !== "string" || !memory.conversation_id) {
+    return "missing conversation_id";
+  }
+  if (typeof memory.version !== "number" || memory.version < 1) {
+    return "missing schema version";
+  }
+  if (memory.version > CURRENT_MEMORY_VERSION) {
+    return "schema version " + memory.version + " is newer than this extension";
+  }
+  var lists = ["entities", "facts", "decisions", "open_questions", "constraints"];
+  for (var i = 0; i < lists.length; i++) {
+    if (memory[lists[i]] !== undefined && !Array.isArray(memory[lists[i]])) {
+      return lists[i] + " is not a list";
+    }
+  }
+  return "";
+}
+
+// Returns an error string for a migrated (and so normalized) memory holding
+// a field or item of the wrong shape, or "".
+function validateBackupItems(memory) {
+  var fields = ["topic", "user_goal", "current_task"];
+  for (var f = 0; f < fields.length; f++) {
+    if (typeof memory[fields[f]] !== "string") return fields[f] + " is not text";
+  }
+
+  var lists = ["entities", "facts", "decisions", "open_questions", "resolved_questions", "constraints", "conflicts"];
+  for (var l = 0; l < lists.length; l++) {
+    var list = memory[lists[l]];
+    if (!Array.isArray(list)) return lists[l] + " is not a list";
+    for (var i = 0; i < list.length; i++) {
+      var item = list[i];
+      var where = lists[l] + " item " + (i + 1);
+      if (!item || typeof item !== "object") return where + " is not an object";
+      if (lists[l] === "entities") {
+        if (typeof item.name !== "string" || !item.name.trim()) return where + " has no name";
+        if (typeof item.type !== "string") return where + " has no type";
+        if (item.summary !== undefined && typeof item.summary !== "string") return where + " has a summary that is not text";
+      } else if (lists[l] === "conflicts") {
+        if (typeof item.id !== "string" || typeof item.kind !== "string") return where + " has no id or kind";
+      } else if (typeof item.text !== "string" || !item.text.trim()) {
+        return where + " has no text";
+      }
+    }
+  }
+  return "";
+}
+
+// ─── Import ───────────────────────────────────────────────────────────────────
+
+// Stores one validated memory through updateMemory, merging it into the
+// stored copy when merge is true and replacing it otherwise, and counts it
+// under report[counter]. A failed write is reported as skipped instead of
+// failing the whole import.
+function importMemory(incoming, merge, settings, report, counter) {
+  var conflicts = [];
+  return updateMemory(incoming.conversation_id, function (local) {
+    if (!merge) return incoming;
+    conflicts = mergeStoredMemory(local, incoming, settings);
+  }).then(function () {
+    report[counter]++;
+    for (var c = 0; c < conflicts.length; c++) {
+      conflicts[c].id = incoming.conversation_id;
+      report.conflicts.push(conflicts[c]);
+    }
+  }, function (err) {
+    report.skipped.push({ id: incoming.conversation_id, reason: "could not be stored (" + err.message + ")" });
+  });
+}
+
+// Resolves to a report:
+//   { added, replaced, merged, skipped: [{ id, reason }],
+//     conflicts: [{ id, field, local, imported }] }
+// Rejects only when the bundle envelope itself is invalid.
+function importBackupBundle(bundle, mode) {
+  var envelopeError = validateBackupBundle(bundle);
+  if (envelopeError) return Promise.reject(new Error(envelopeError));
+
+  var report = { added: 0, replaced: 0, merged: 0, skipped: [], conflicts: [] };
+
+  var settings;
+
+  return readSettings().then(function (stored) {
+    settings = stored;
+    return new Promise(function (resolve, reject) {
+      chrome.storage.local.get(null, function (data) {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(data);
+      });
+    });
+  }).then(function (data) {
+    var writes = [];
+
+    for (var i = 0; i < bundle.memories.length; i++) {
+      var incoming = bundle.memories[i];
+      var problem  = validateBackupMemory(incoming);
+      if (!problem) {
+        try {
+          migrateMemory(incoming);
+          problem = validateBackupItems(incoming);
+        } catch (e) {
+          problem = "could not be upgraded (" + e.message + ")";
+        }
+      }
+      if (problem) {
+        report.skipped.push({ id: (incoming && incoming.conversation_id) || "#" + (i + 1), reason: problem });
+        continue;
+      }
+
+      var exists  = !!data[memoryKey(incoming.conversation_id)];
+      var counter = !exists ? "added" : mode === "overwrite" ? "replaced" : "merged";
+      writes.push(importMemory(incoming, counter === "merged", settings, report, counter));
+    }
+
+    var other = {};
+    if (typeof bundle.vault === "string") {
+      var localVault = data[DM_VAULT_KEY] || "";
+      if (!localVault.trim() || mode === "overwrite") {
+        other[DM_VAULT_KEY] = bundle.vault;
+      } else if (localVault !== bundle.vault) {
+        report.conflicts.push({ id: "vault", field: "preferences", local: localVault, imported: bundle.vault });
+      }
+    }
+    var extras = bundle.extras || {};
+    for (var key in extras) {
+      if (key.indexOf("dupermemory_") !== 0 || isStoredMemory(key, extras[key])) continue;
+      if (data[key] === undefined || mode === "overwrite") other[key] = extras[key];
+    }
+    writes.push(new Promise(function (resolve) {
+      chrome.storage.local.set(other, function () {
+        if (chrome.runtime.lastError) {
+          console.warn("[DuperMemory] storage.local.set failed:", chrome.runtime.lastError.message);
+        }
+        resolve();
+      });
+    }));
+
+    return Promise.all(writes).then(function () {
+      return report;
+    });
+  });
+}
@@ -0,0 +1,175 @@
+// utils/compress.js — Transcript compression
+//
+// Loaded into the service worker via importScripts("utils/compress.js"),
+// after utils/models.js (default budgets) and utils/format.js, which calls
+// compressTranscript when it is given a budget, as does
+// utils/replay-prompt.js. Summaries of left-out turns use normalizeTokens
+// (utils/similarity.js) at call time.
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs.
+//
+// Long threads blow past a target's input limit and slow injection. Each
+// model has a budget in characters (MODEL_REGISTRY contextBudget, roughly 4
+// characters per token), which settings.compression.budgets can override.
+// When a transcript does not fit, compression is local and deterministic:
+//   - the latest keep_turns turns are kept verbatim, and earlier turns too,
+//     newest first, while they fit
+//   - code blocks from older turns are kept, newest first, while they fit
+//   - the rest of the older turns is replaced by a marker saying what was
+//     left out, followed by the stored notes items (decisions, facts,
+//     settled and open questions, constraints) whose wording those turns
+//     contain, as a short summary of them
+// This is the only cut: the flattener (flattenInjectedContext) passes long
+// threads through whole.
+
+// Room kept for the markers around the kept code blocks and turns.
+var COMPRESS_MARKER_RESERVE = 400;
+
+// Most characters and items the summary of the left-out turns may take.
+var COMPRESS_SUMMARY_LIMIT = 800;
+var COMPRESS_SUMMARY_ITEMS = 6;
+
+// Share of a notes item's words the left-out turns must contain for the
+// item to count as coming from them.
+var COMPRESS_SUMMARY_COVERAGE = 0.5;
+
+// Notes lists summarized, with the label each item gets.
+var COMPRESS_SUMMARY_LISTS = [
+  ["decisions",          "Decided"],
+  ["facts",              "Fact"],
+  ["resolved_questions", "Settled"],
+  ["constraints",        "Constraint"],
+  ["open_questions",     "Open"],
+];
+
+var CODE_BLOCK_PATTERN = /```[\s\S]*?```/g;
+
+// Turns in a flattened transcript are "User: …" / "Assistant: …" paragraphs
+// (flattenInjectedContext).
+var TURN_SPLIT_PATTERN = /\n\n(?=(?:User|Assistant): )/;
+
+// Returns the character budget for a target model: the settings override if
+// set, else the registry default. 0 means no limit.
+function getContextBudget(modelKey, settings) {
+  var budgets = (settings && settings.compression && settings.compression.budgets) || {};
+  if (budgets[modelKey] > 0) return budgets[modelKey];
+  var model = MODEL_REGISTRY[modelKey];
+  return (model && model.contextBudget) || 0;
+}
+
+// Returns transcript shortened to at most budget characters (unchanged if
+// it fits or budget is 0).
+//   options.keepTurns — turns kept verbatim at the end, at least; earlier
+//                       ones are kept too, newest first, while they fit
+//   options.hasNotes  — the context block carries memory notes, so the
+//                       marker can point the target at them
+//   options.memory    — memory whose items summarize the left-out turns
+function compressTranscript(transcript, budget, options) {
+  if (!budget || transcript.length <= budget) return transcript;
+  options = options || {};
+
+  var turns = transcript.split(TURN_SPLIT_PATTERN);
+  var room = Math.max(budget - COMPRESS_MARKER_RESERVE, 0);
+
+  // Keep as many of the latest turns as were asked for and fit, at least
+  // one, then any earlier turns that still fit. Verbatim turns beat the
+  // summary and code blocks, which only get the room left over.
+  var keep = Math.min(Math.max(options.keepTurns || 1, 1), turns.length);
+  while (keep > 1 && joinedLength(turns.slice(turns.length - keep)) > room) keep--;
+  while (keep < turns.length && joinedLength(turns.slice(turns.length - keep - 1)) <= room) keep++;
+
+  var kept = turns.slice(turns.length - keep).join("\n\n");
+  if (kept.length > room) {
+    // A single turn longer than the budget: keep its end, where the
+    // conversation left off.
+    kept = "…" + kept.slice(kept.length - room + 1);
+  }
+  room -= kept.length;
+
+  var older = turns.slice(0, turns.length - keep);
+  var olderChars = joinedLength(older);
+  var summary = older.length > 0
+    ? summarizeElided(older.join("\n\n"), options.memory, Math.min(room, COMPRESS_SUMMARY_LIMIT))
+    : "";
+  if (summary) room -= summary.length + 2;
+
+  var codeBlocks = [];
+  var droppedBlocks = 0;
+  for (var t = older.length - 1; t >= 0; t--) {
+    var blocks = older[t].match(CODE_BLOCK_PATTERN) || [];
+    var speaker = /^Assistant: /.test(older[t]) ? "Assistant" : "User";
+    for (var b = blocks.length - 1; b >= 0; b--) {
+      var entry = "(" + speaker + ", turn " + (t + 1) + ")\n" + blocks[b];
+      if (entry.length + 2 <= room) {
+        codeBlocks.unshift(entry);
+        room -= entry.length + 2;
+      } else {
+        droppedBlocks++;
+      }
+    }
+  }
+
+  var out = [];
+  if (older.length > 0) {
+    out.push(elisionMarker(older.length, olderChars, codeBlocks.length, droppedBlocks, options.hasNotes && !summary));
+    if (summary) out.push(summary);
+    if (codeBlocks.length > 0) {
+      out.push(codeBlocks.join("\n\n"));
+      out.push("[... the latest " + keep + " turn" + (keep === 1 ? "" : "s") + " follow verbatim ...]");
+    }
+  }
+  out.push(kept);
+  return out.join("\n\n");
+}
+
+function elisionMarker(turnCount, chars, keptBlocks, droppedBlocks, hasNotes) {
+  var text = "[... " + turnCount + " earlier turn" + (turnCount === 1 ? "" : "s") +
+    " (" + chars + " characters) left out to fit the input limit.";
+  if (hasNotes) text += " What they established is in the notes above.";
+  if (keptBlocks > 0) text += " Their code blocks follow.";
+  if (droppedBlocks > 0) {
+    text += " " + droppedBlocks + " older code block" + (droppedBlocks === 1 ? " was" : "s were") + " left out too.";
+  }
+  return text + " ...]";
+}
+
+// Lists the memory items the left-out text covers, as "- Label: text"
+// lines under a heading, within room characters. "" if none does.
+function summarizeElided(text, memory, room) {
+  if (!memory) return "";
+  var span = normalizeTokens(text).tokens;
+  var heading = "Summary of the left-out turns, from the stored notes:";
+  var lines = [];
+  var length = heading.length;
+
+  for (var l = 0; l < COMPRESS_SUMMARY_LISTS.length && lines.length < COMPRESS_SUMMARY_ITEMS; l++) {
+    var items = memory[COMPRESS_SUMMARY_LISTS[l][0]] || [];
+    for (var i = 0; i < items.length && lines.length < COMPRESS_SUMMARY_ITEMS; i++) {
+      var item = items[i];
+      var itemText = (item && item.text) || "";
+      if (!itemText || !coversItem(span, itemText)) continue;
+      var line = "- " + COMPRESS_SUMMARY_LISTS[l][1] + ": " + itemText + (item.answer ? " => " + item.answer : "");
+      if (line.length > 200) line = line.slice(0, 197) + "...";
+      if (length + 1 + line.length > room) continue;
+      lines.push(line);
+      length += 1 + line.length;
+    }
+  }
+  return lines.length > 0 ? heading + "\n" + lines.join("\n") : "";
+}
+
+function coversItem(span, text) {
+  var item = normalizeTokens(text);
+  if (item.size === 0) return false;
+  var hits = 0;
+  for (var token in item.tokens) {
+    if (span[token]) hits++;
+  }
+  return hits / item.size >= COMPRESS_SUMMARY_COVERAGE;
+}
+
+function joinedLength(parts) {
+  var total = 0;
+  for (var i = 0; i < parts.length; i++) total += parts[i].length;
+  return total + Math.max(parts.length - 1, 0) * 2;
+}
@@ -0,0 +1,137 @@
+// utils/entities.js — Cross-conversation entity index
+//
+// Loaded into the service worker via importScripts("utils/entities.js") and
+// by popup.html, after utils/similarity.js (word splitting, aliases) and
+// utils/memory.js (isStoredMemory).
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs except chrome.storage.local.
+//
+// Product names, services and people are re-learned in every conversation.
+// The index merges the entities of every stored memory by normalized name,
+// so the popup can show one entry per entity with the conversations it
+// appears in, and a capture can pass along what other conversations already
+// know about entities its transcript mentions. The index is derived, never
+// stored: it is rebuilt from the dupermemory_* entries each time it is read,
+// so it cannot drift from the memories.
+//
+// Entry shape:
+//   { key, name, type, summary, mentions, last_updated,
+//     conversations: [{ id, topic, summary }] }
+// name, type and summary come from the most recently updated sighting.
+
+// Most global entities injected into one context block.
+var GLOBAL_ENTITY_LIMIT = 8;
+
+// "PostgreSQL", "postgres " and "Postgres." share the key "postgres".
+function normalizeEntityName(name) {
+  var words = splitWords(name);
+  var out = [];
+  for (var i = 0; i < words.length; i++) {
+    if (words[i]) out.push(SIMILARITY_ALIASES[words[i]] || words[i]);
+  }
+  return out.join(" ");
+}
+
+// ─── Build ────────────────────────────────────────────────────────────────────
+
+// Builds the index from a full storage dump. Returns entries sorted by the
+// number of conversations, then total mentions.
+function buildEntityIndex(data) {
+  var byKey = {};
+  var entries = [];
+
+  for (var storageKey in data) {
+    if (!isStoredMemory(storageKey, data[storageKey])) continue;
+    var memory = data[storageKey];
+    var entities = memory.entities || [];
+
+    for (var i = 0; i < entities.length; i++) {
+      var entity = entities[i];
+      if (!entity || !entity.name) continue;
+      var key = normalizeEntityName(entity.name);
+      if (!key) continue;
+
+      var entry = byKey[key];
+      if (!entry) {
+        entry = byKey[key] = {
+          key:           key,
+          name:          entity.name,
+          type:          entity.type || "other",
+          summary:       entity.summary || "",
+          mentions:      0,
+          last_updated:  "",
+          conversations: [],
+        };
+        entries.push(entry);
+      }
+
+      var seen = entity.last_updated || memory.updated_at || "";
+      if (seen >= entry.last_updated) {
+        entry.name         = entity.name;
+        entry.type         = entity.type || entry.type;
+        entry.summary      = entity.summary || entry.summary;
+        entry.last_updated = seen;
+      }
+      entry.mentions += entity.mentions || 1;
+      entry.conversations.push({
+        id:      memory.conversation_id,
+        topic:   memory.topic || "",
+        summary: entity.summary || "",
+      });
+    }
+  }
+
+  entries.sort(function (a, b) {
+    if (a.conversations.length !== b.conversations.length) {
+      return b.conversations.length - a.conversations.length;
+    }
+    return b.mentions - a.mentions;
+  });
+  return entries;
+}
+
+// Resolves to the index of every stored memory.
+function readEntityIndex() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.get(null, function (data) {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.local.get failed:", chrome.runtime.lastError.message);
+        resolve([]);
+        return;
+      }
+      resolve(buildEntityIndex(data));
+    });
+  });
+}
+
+// ─── Relevance ────────────────────────────────────────────────────────────────
+
+// Picks the entries worth passing to a transfer of memory + transcript:
+// entities the transcript names that other conversations know about and
+// this memory does not already cover. At most GLOBAL_ENTITY_LIMIT, most
+// widely known first.
+function findRelevantEntities(index, memory, transcript) {
+  var text = " " + normalizeEntityName(transcript) + " ";
+  var known = {};
+  var own = (memory && memory.entities) || [];
+  for (var i = 0; i < own.length; i++) {
+    known[normalizeEntityName(own[i].name)] = true;
+  }
+
+  var relevant = [];
+  for (var e = 0; e < index.length && relevant.length < GLOBAL_ENTITY_LIMIT; e++) {
+    var entry = index[e];
+    if (known[entry.key] || !entry.summary) continue;
+    if (!hasOtherConversation(entry, memory && memory.conversation_id)) continue;
+    if (text.indexOf(" " + entry.key + " ") === -1) continue;
+    relevant.push(entry);
+  }
+  return relevant;
+}
+
+function hasOtherConversation(entry, conversationId) {
+  for (var i = 0; i < entry.conversations.length; i++) {
+    if (entry.conversations[i].id !== conversationId) return true;
+  }
+  return false;
+}
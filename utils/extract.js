@@ -0,0 +1,210 @@
+// utils/extract.js — Local extractive summarizer
+//
+// Loaded into the service worker via importScripts("utils/extract.js"),
+// after utils/memory.js (createEmptyMemory) and utils/compress.js (turn
+// splitting).
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs.
+//
+// On a first capture the memory is empty, so the target would get a raw
+// transcript and no notes. extractProvisionalMemory builds a provisional
+// memory from the transcript alone — topic, goal, entities and open
+// questions — by scoring sentences against the transcript's keywords.
+// No model is involved and the result is deterministic.
+//
+// The provisional memory is marked auto_extracted and only feeds the first
+// context block; it is never stored, so the first reply's memory note
+// replaces it without being flagged as a topic or goal change.
+
+var EXTRACT_KEYWORD_LIMIT  = 12;
+var EXTRACT_ENTITY_LIMIT   = 6;
+var EXTRACT_QUESTION_LIMIT = 4;
+var EXTRACT_MAX_SENTENCE   = 200;
+
+var EXTRACT_STOPWORDS = {};
+("a about above after again all also am an and any are as at be because been before being below between both but by " +
+ "can could did do does doing done down during each even every few for from further get got had has have having he her " +
+ "here hers him his how however i if in into is it its itself just let like make many may me might more most much must " +
+ "my need no nor not now of off on once one only or other our ours out over own please really same shall she should so " +
+ "some still such than thank thanks that the their theirs them then there these they thing things this those through to " +
+ "too under until up us use used using very want was way we well were what when where which while who whom why will " +
+ "with would yes yet you your yours okay ok sure right think know see going also")
+  .split(" ").forEach(function (word) { EXTRACT_STOPWORDS[word] = true; });
+
+// Lines that ask for help or state an aim, in order of preference.
+var GOAL_PATTERNS = [
+  /\b(?:my goal|i(?:'m| am) trying to|i want to|i need to|i'd like to|i would like to)\b/i,
+  /\b(?:help me|can you|could you|how (?:do|can|should) i)\b/i,
+];
+
+// ─── Extract ──────────────────────────────────────────────────────────────────
+
+// Returns a provisional memory for conversationId, or null if the transcript
+// yields nothing worth passing on.
+function extractProvisionalMemory(conversationId, transcript) {
+  var turns = splitExtractTurns(transcript || "");
+  var userSentences = [];
+  var allSentences = [];
+  var languages = [];
+
+  for (var t = 0; t < turns.length; t++) {
+    var prose = turns[t].text.replace(CODE_BLOCK_PATTERN, function (block) {
+      var lang = (block.match(/^```([\w+#.-]+)/) || [])[1];
+      if (lang && languages.indexOf(lang.toLowerCase()) === -1) languages.push(lang.toLowerCase());
+      return " ";
+    });
+    var sentences = splitSentences(prose);
+    for (var s = 0; s < sentences.length; s++) {
+      allSentences.push(sentences[s]);
+      if (turns[t].role === "user") userSentences.push(sentences[s]);
+    }
+  }
+
+  var weights = extractKeywords(allSentences);
+  var memory = createEmptyMemory(conversationId);
+  memory.auto_extracted = true;
+  var goal = findGoal(userSentences);
+  var candidates = (userSentences.length ? userSentences : allSentences).filter(function (sentence) {
+    return sentence !== goal;
+  });
+  memory.topic          = clipSentence(bestSentence(candidates, weights) || goal);
+  memory.user_goal      = clipSentence(goal);
+  memory.entities       = extractEntities(allSentences, languages);
+  memory.open_questions = extractQuestions(userSentences);
+
+  if (!memory.topic && !memory.user_goal && memory.entities.length === 0 && memory.open_questions.length === 0) {
+    return null;
+  }
+  return memory;
+}
+
+// ─── Pieces ───────────────────────────────────────────────────────────────────
+
+// Splits a flattened transcript into [{ role, text }]. A transcript without
+// "User:" / "Assistant:" labels is one user turn.
+function splitExtractTurns(transcript) {
+  var parts = transcript.split(TURN_SPLIT_PATTERN);
+  var turns = [];
+  for (var i = 0; i < parts.length; i++) {
+    var match = parts[i].match(/^(User|Assistant): ([\s\S]*)$/);
+    turns.push(match
+      ? { role: match[1] === "User" ? "user" : "assistant", text: match[2] }
+      : { role: "user", text: parts[i] });
+  }
+  return turns;
+}
+
+function splitSentences(text) {
+  var pieces = text.replace(/\s+/g, " ").split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/);
+  var out = [];
+  for (var i = 0; i < pieces.length; i++) {
+    var sentence = pieces[i].trim();
+    if (sentence.split(" ").length >= 3) out.push(sentence);
+  }
+  return out;
+}
+
+function sentenceWords(sentence) {
+  return sentence.toLowerCase().split(/[^a-z0-9+#.]+/).map(function (word) {
+    return word.replace(/^\.+|\.+$/g, "");
+  }).filter(function (word) {
+    return word.length >= 3 && !EXTRACT_STOPWORDS[word] && !/^\d+$/.test(word);
+  });
+}
+
+// Returns { word → weight } for the most frequent non-stopwords, counting
+// each word once per sentence.
+function extractKeywords(sentences) {
+  var counts = {};
+  for (var i = 0; i < sentences.length; i++) {
+    var seen = {};
+    var words = sentenceWords(sentences[i]);
+    for (var w = 0; w < words.length; w++) {
+      if (seen[words[w]]) continue;
+      seen[words[w]] = true;
+      counts[words[w]] = (counts[words[w]] || 0) + 1;
+    }
+  }
+  var ranked = Object.keys(counts).sort(function (a, b) {
+    return counts[b] - counts[a] || (a < b ? -1 : 1);
+  });
+  var weights = {};
+  for (var k = 0; k < ranked.length && k < EXTRACT_KEYWORD_LIMIT; k++) {
+    weights[ranked[k]] = counts[ranked[k]];
+  }
+  return weights;
+}
+
+// The sentence whose keywords weigh most, damped by length so long
+// sentences do not win on size alone. Earlier sentences win ties.
+function bestSentence(sentences, weights) {
+  var best = "";
+  var bestScore = 0;
+  for (var i = 0; i < sentences.length; i++) {
+    var words = sentenceWords(sentences[i]);
+    var score = 0;
+    for (var w = 0; w < words.length; w++) score += weights[words[w]] || 0;
+    score = score / Math.sqrt(words.length + 1);
+    if (score > bestScore) {
+      best = sentences[i];
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function findGoal(userSentences) {
+  for (var p = 0; p < GOAL_PATTERNS.length; p++) {
+    for (var i = 0; i < userSentences.length; i++) {
+      if (GOAL_PATTERNS[p].test(userSentences[i])) return userSentences[i];
+    }
+  }
+  return "";
+}
+
+// Capitalized, CamelCase or dotted names ("Postgres", "TypeScript",
+// "Node.js") seen in at least two sentences, plus the languages of code
+// blocks. Most mentioned first.
+function extractEntities(sentences, languages) {
+  var counts = {};
+  var names = {};
+  for (var i = 0; i < sentences.length; i++) {
+    var seen = {};
+    var tokens = sentences[i].match(/\b[A-Za-z][\w+#]*(?:\.[a-z]+)?\b/g) || [];
+    for (var t = 0; t < tokens.length; t++) {
+      var token = tokens[t];
+      var key = token.toLowerCase();
+      var isName = /^[A-Z]/.test(token) && (t > 0 || /[A-Z]/.test(token.slice(1)) || token.indexOf(".") !== -1);
+      if (!isName || EXTRACT_STOPWORDS[key] || key === "user" || key === "assistant" || seen[key]) continue;
+      seen[key] = true;
+      counts[key] = (counts[key] || 0) + 1;
+      names[key] = names[key] || token;
+    }
+  }
+
+  var entities = [];
+  var keys = Object.keys(counts).filter(function (key) { return counts[key] >= 2; });
+  keys.sort(function (a, b) { return counts[b] - counts[a] || (a < b ? -1 : 1); });
+  for (var k = 0; k < keys.length && entities.length < EXTRACT_ENTITY_LIMIT; k++) {
+    entities.push({ name: names[keys[k]], type: "other", summary: "", mentions: counts[keys[k]] });
+  }
+  for (var l = 0; l < languages.length && entities.length < EXTRACT_ENTITY_LIMIT; l++) {
+    if (counts[languages[l]] >= 2) continue;
+    entities.push({ name: languages[l], type: "language", summary: "used in code blocks", mentions: 1 });
+  }
+  return entities;
+}
+
+// The user's latest questions, oldest first.
+function extractQuestions(userSentences) {
+  var questions = [];
+  for (var i = userSentences.length - 1; i >= 0 && questions.length < EXTRACT_QUESTION_LIMIT; i--) {
+    if (/\?$/.test(userSentences[i])) questions.unshift({ text: clipSentence(userSentences[i]) });
+  }
+  return questions;
+}
+
+function clipSentence(sentence) {
+  if (sentence.length <= EXTRACT_MAX_SENTENCE) return sentence;
+  return sentence.slice(0, EXTRACT_MAX_SENTENCE - 3).replace(/\s+\S*$/, "") + "...";
+}
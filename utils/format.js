@@ -7,10 +7,11 @@
 // Formats a raw conversation transcript (+ optional memory from prior hops)
 // into a plain-text context block for injection into the target AI's input.
 //
-// Layout:
+// Layout of the default template (utils/templates.js):
 //   1. Conversational opening
 //   2. Memory notes from prior sessions (if any)
-//   3. Raw transcript in --- delimiters
+//   2b. Entities known from other conversations (if any were passed)
+//   3. Raw transcript in --- delimiters, compressed to the target's budget
 //   4. Task instruction
 //   5. Memory note instruction with ---MEMORY--- delimiters
 //
@@ -52,97 +53,200 @@ function isMetaInstruction(text) {
 // If memory has meaningful data from previous hops, include it as structured
 // notes above the transcript. If memory is empty (first capture), include
 // only the transcript.
+//
+// globalEntities (optional) are entries from the cross-conversation entity
+// index (utils/entities.js) that the transcript mentions.
+//
+// options (optional):
+//   budget, keepTurns — the whole block is kept within budget characters by
+//                       compressing the transcript (utils/compress.js); the
+//                       notes, entities and instructions are never cut
+//   template          — capture template to render (utils/templates.js),
+//                       DEFAULT_TEMPLATES.capture if not given
+//   targetName        — fills {{target.name}}
+//   vault             — fills {{vault}}
+//   task              — fills {{task}} in place of the continue-the-work
+//                       request (a transfer mode's instruction, utils/modes.js)
+//   memoryInstruction — false leaves {{memory_instruction}} empty, for modes
+//                       whose reply does not update memory
+
+var TRANSCRIPT_SLOT = "\u0000transcript\u0000";
+
+function formatContextBlockFromTranscript(memory, transcript, globalEntities, options) {
+  options = options || {};
 
-function formatContextBlockFromTranscript(memory, transcript) {
+  var currentTask = (memory && memory.current_task && !isMetaInstruction(memory.current_task))
+    ? memory.current_task
+    : "";
+
+  var values = addMemoryValues({
+    transcript:         TRANSCRIPT_SLOT,
+    notes:              sectionText(function (lines) { appendMemoryNotes(lines, memory); }),
+    known:              sectionText(function (lines) { appendGlobalEntities(lines, globalEntities); }),
+    task:               options.task || (currentTask
+      ? "Please continue helping with: " + currentTask + ". Respond naturally \u2014 summarize your understanding briefly, then help move things forward."
+      : "Respond naturally \u2014 share your thoughts on the above conversation and ask what I'd like to work on next."),
+    memory_instruction: options.memoryInstruction === false
+      ? ""
+      : sectionText(appendMemoryInstruction).replace(/^\n+/, ""),
+    vault:              (options.vault || "").trim(),
+    "target.name":      options.targetName || "",
+  }, memory);
+
+  var block = renderTemplate(options.template || DEFAULT_TEMPLATES.capture, values);
+  if (options.memoryInstruction === false) block = block.replace(/\n+$/, "");
+  return fillTranscriptSlot(block, transcript, memory, options);
+}
+
+// Replaces TRANSCRIPT_SLOT in block with the flattened transcript, compressed
+// so the whole block fits options.budget (if set).
+function fillTranscriptSlot(block, transcript, memory, options) {
+  var flat = sanitizeMetaPrompt(transcript);
+  if (options && options.budget) {
+    var room = options.budget - (block.length - TRANSCRIPT_SLOT.length);
+    flat = compressTranscript(flat, Math.max(room, 1), {
+      keepTurns: options.keepTurns,
+      hasNotes:  hasMemoryNotes(memory),
+      memory:    memory,
+    });
+  }
+  return block.split(TRANSCRIPT_SLOT).join(flat);
+}
+
+// Runs append(lines) and returns what it pushed as text, starting with a
+// line break (the sections start with a blank line), or "" if nothing.
+function sectionText(append) {
   var lines = [];
+  append(lines);
+  return lines.length > 0 ? "\n" + lines.join("\n") : "";
+}
 
-  // ── Conversational opening ──────────────────────────────────────────────
-  lines.push("Hey \u2014 I'm picking up a conversation that was happening on another AI. Here's the transcript from that session:");
+// ─── Shared sections ──────────────────────────────────────────────────────────
+//
+// Used by formatContextBlockFromTranscript and by the other prompt builders
+// (e.g. buildJudgePrompt) so every prompt carries the same notes layout and
+// the same ---MEMORY--- appendix that parseTargetResponse expects.
 
-  // ── Memory notes (if populated from previous hops) ──────────────────────
-  var hasMemory = memory && (
+// True if memory has meaningful data from previous hops.
+function hasMemoryNotes(memory) {
+  return !!(memory && (
     memory.topic ||
     memory.user_goal ||
     (memory.entities && memory.entities.length > 0) ||
-    (memory.decisions && memory.decisions.length > 0)
-  );
+    (memory.facts && memory.facts.length > 0) ||
+    (memory.decisions && memory.decisions.length > 0) ||
+    (memory.resolved_questions && memory.resolved_questions.length > 0) ||
+    (memory.conflicts && memory.conflicts.length > 0)
+  ));
+}
+
+// Pushes the "notes from prior sessions" block onto lines, if memory has
+// meaningful data from previous hops.
+function appendMemoryNotes(lines, memory) {
+  if (!hasMemoryNotes(memory)) return;
 
-  if (hasMemory) {
-    lines.push("");
-    lines.push("--- notes from prior sessions ---");
+  lines.push("");
+  lines.push("--- notes from prior sessions ---");
+  if (memory.auto_extracted) {
+    lines.push("(Auto-extracted from the transcript below, not confirmed by any AI \u2014 treat as a rough guide.)");
+  }
 
-    if (memory.topic) {
-      lines.push("Topic: " + memory.topic);
+  if (memory.topic) {
+    lines.push("Topic: " + memory.topic);
+  }
+  if (memory.user_goal) {
+    lines.push("User goal: " + memory.user_goal);
+  }
+  if (memory.entities && memory.entities.length > 0) {
+    lines.push("Key entities:");
+    for (var i = 0; i < memory.entities.length; i++) {
+      var e = memory.entities[i];
+      var entityLine = "- " + e.name + " (" + e.type + ")";
+      if (e.summary) entityLine += ": " + e.summary;
+      lines.push(entityLine);
     }
-    if (memory.user_goal) {
-      lines.push("User goal: " + memory.user_goal);
+  }
+  if (memory.facts && memory.facts.length > 0) {
+    lines.push("Known facts:");
+    for (var k = 0; k < memory.facts.length; k++) {
+      lines.push("- " + memory.facts[k].text);
     }
-    if (memory.entities && memory.entities.length > 0) {
-      lines.push("Key entities:");
-      for (var i = 0; i < memory.entities.length; i++) {
-        var e = memory.entities[i];
-        var entityLine = "- " + e.name + " (" + e.type + ")";
-        if (e.summary) entityLine += ": " + e.summary;
-        lines.push(entityLine);
-      }
+  }
+  if (memory.decisions && memory.decisions.length > 0) {
+    lines.push("Decisions made:");
+    for (var d = 0; d < memory.decisions.length; d++) {
+      lines.push("- " + (memory.decisions[d].text || memory.decisions[d]) + disputedMark(memory.decisions[d]));
     }
-    if (memory.decisions && memory.decisions.length > 0) {
-      lines.push("Decisions made:");
-      for (var d = 0; d < memory.decisions.length; d++) {
-        lines.push("- " + (memory.decisions[d].text || memory.decisions[d]));
-      }
+  }
+  if (memory.open_questions && memory.open_questions.length > 0) {
+    lines.push("Open questions:");
+    for (var q = 0; q < memory.open_questions.length; q++) {
+      lines.push("- " + (memory.open_questions[q].text || memory.open_questions[q]));
     }
-    if (memory.open_questions && memory.open_questions.length > 0) {
-      lines.push("Open questions:");
-      for (var q = 0; q < memory.open_questions.length; q++) {
-        lines.push("- " + (memory.open_questions[q].text || memory.open_questions[q]));
-      }
+  }
+  if (memory.resolved_questions && memory.resolved_questions.length > 0) {
+    lines.push("Already settled (no need to reopen):");
+    for (var r = 0; r < memory.resolved_questions.length; r++) {
+      var settled = memory.resolved_questions[r];
+      lines.push("- " + settled.text + (settled.answer ? " => " + settled.answer : ""));
     }
-    if (memory.constraints && memory.constraints.length > 0) {
-      var filtered = [];
-      for (var c = 0; c < memory.constraints.length; c++) {
-        if (!isMetaInstruction(memory.constraints[c])) {
-          filtered.push(memory.constraints[c]);
-        }
-      }
-      if (filtered.length > 0) {
-        lines.push("Constraints:");
-        for (var f = 0; f < filtered.length; f++) {
-          lines.push("- " + filtered[f]);
-        }
+  }
+  if (memory.constraints && memory.constraints.length > 0) {
+    var filtered = [];
+    for (var c = 0; c < memory.constraints.length; c++) {
+      var constraint = memory.constraints[c].text || memory.constraints[c];
+      if (!isMetaInstruction(constraint)) {
+        filtered.push(constraint + disputedMark(memory.constraints[c]));
       }
     }
-
-    var memTask = memory.current_task || "";
-    if (memTask && !isMetaInstruction(memTask)) {
-      lines.push("Current task: " + memTask);
+    if (filtered.length > 0) {
+      lines.push("Constraints:");
+      for (var f = 0; f < filtered.length; f++) {
+        lines.push("- " + filtered[f]);
+      }
     }
+  }
 
-    lines.push("--- end notes ---");
+  var memTask = memory.current_task || "";
+  if (memTask && !isMetaInstruction(memTask)) {
+    lines.push("Current task: " + memTask);
   }
 
-  // ── Transcript ──────────────────────────────────────────────────────────
-  lines.push("");
-  lines.push("--- transcript ---");
-  lines.push(sanitizeMetaPrompt(transcript));
-  lines.push("--- end transcript ---");
+  if (memory.conflicts && memory.conflicts.length > 0) {
+    lines.push("Warning \u2014 earlier notes contradict each other. Check with me before relying on either side:");
+    for (var x = 0; x < memory.conflicts.length; x++) {
+      var conflict = memory.conflicts[x];
+      if (conflict.kind === "field") {
+        lines.push("- " + (conflict.existing_list === "topic" ? "Topic" : "Goal") +
+          " changed from \"" + conflict.existing + "\" to \"" + conflict.incoming + "\"");
+      } else {
+        lines.push("- \"" + conflict.existing + "\" vs \"" + conflict.incoming + "\" (" + conflict.reason + ")");
+      }
+    }
+  }
 
-  // ── Task instruction ────────────────────────────────────────────────────
-  lines.push("");
-  lines.push("The transcript above is the raw conversation from the other AI. Use it as context.");
-  lines.push("");
+  lines.push("--- end notes ---");
+}
 
-  var currentTask = (memory && memory.current_task && !isMetaInstruction(memory.current_task))
-    ? memory.current_task
-    : "";
+// Pushes what other conversations know about entities this transcript
+// mentions, if any.
+function appendGlobalEntities(lines, entities) {
+  if (!entities || entities.length === 0) return;
 
-  if (currentTask) {
-    lines.push("Please continue helping with: " + currentTask + ". Respond naturally \u2014 summarize your understanding briefly, then help move things forward.");
-  } else {
-    lines.push("Respond naturally \u2014 share your thoughts on the above conversation and ask what I'd like to work on next.");
+  lines.push("");
+  lines.push("--- known from other conversations ---");
+  for (var i = 0; i < entities.length; i++) {
+    lines.push("- " + entities[i].name + " (" + entities[i].type + "): " + entities[i].summary);
   }
+  lines.push("--- end known ---");
+}
 
-  // ── Memory note instruction (appendix) ───────────────────────────────────
+function disputedMark(item) {
+  return item && item.status === "conflict" ? " (disputed)" : "";
+}
+
+// Pushes the memory note instruction with ---MEMORY--- delimiters onto lines.
+function appendMemoryInstruction(lines) {
   lines.push("");
   lines.push("At the end of your reply, include a brief memory note so I can track what we covered. Use this exact format:");
   lines.push("");
@@ -154,8 +258,7 @@ function formatContextBlockFromTranscript(memory, transcript) {
   lines.push("Task: (what we are working on right now)");
   lines.push("Entities: (name/type/one sentence); (name/type/one sentence)");
   lines.push("Open: (unresolved question 1); (unresolved question 2)");
+  lines.push("Resolved: (question that is now answered => the answer); (another => its answer)");
   lines.push("Constraints: (hard constraint 1); (hard constraint 2)");
   lines.push("---END MEMORY---");
-
-  return lines.join("\n");
 }
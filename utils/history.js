@@ -0,0 +1,166 @@
+// utils/history.js — Transfer history log
+//
+// Loaded into the service worker via importScripts("utils/history.js").
+// Also loaded by popup.html to read the log (writes go through background.js
+// messages so there is a single writer).
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs except chrome.storage.local.
+//
+// Records every transfer (CAPTURE, REPLAY_CONVERSATION, fan-out targets and
+// consensus judges) together with the parsed reply, so the popup can show
+// what went where and re-run it. Newest entries first, bounded by
+// HISTORY_LIMIT. Each entry keeps the transcript for re-runs, and a fan-out
+// logs one entry per target, so a transcript is stored at most
+// HISTORY_TRANSCRIPT_LIMIT characters long (its latest turns).
+//
+// Entry shape:
+//   {
+//     id, kind: "capture"|"replay"|"fanout"|"judge"|"mode",
+//     mode,                           ← mode key for kind "mode" (utils/modes.js)
+//     source, target,                 ← model keys (source may be null)
+//     source_tab_id, target_url,
+//     conversation_id, transcript,
+//     status: "pending"|"done"|"failed", error,
+//     started_at, completed_at,
+//     reply, memory_update
+//   }
+
+var HISTORY_KEY   = "dm_history";
+var HISTORY_LIMIT = 25;
+var HISTORY_TRANSCRIPT_LIMIT = 20000;
+
+// Entries kept when storage is full (writeHistory, freeStorageSpace).
+var HISTORY_QUOTA_KEEP = 5;
+
+// Writes are chained so concurrent updates (e.g. several fan-out replies
+// landing together) never read a stale copy of the log.
+var HISTORY_QUEUE = Promise.resolve();
+
+// ─── Read ─────────────────────────────────────────────────────────────────────
+
+// Returns a Promise that resolves to the history array (newest first).
+function readHistory() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.get(HISTORY_KEY, function (result) {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.local.get failed:", chrome.runtime.lastError.message);
+        resolve([]);
+        return;
+      }
+      resolve(result[HISTORY_KEY] || []);
+    });
+  });
+}
+
+// ─── Write ────────────────────────────────────────────────────────────────────
+
+// A write that hits the storage quota is retried once with only the newest
+// HISTORY_QUOTA_KEEP entries.
+function writeHistory(entries) {
+  var data = {};
+  data[HISTORY_KEY] = entries;
+  return new Promise(function (resolve) {
+    chrome.storage.local.set(data, function () {
+      var err = chrome.runtime.lastError;
+      if (!err) {
+        resolve();
+        return;
+      }
+      if (!isQuotaError(err.message) || entries.length <= HISTORY_QUOTA_KEEP) {
+        console.warn("[DuperMemory] storage.local.set failed:", err.message);
+        resolve();
+        return;
+      }
+      console.warn("[DuperMemory] Storage quota reached; keeping only the latest " + HISTORY_QUOTA_KEEP + " history entries.");
+      entries.length = HISTORY_QUOTA_KEEP;
+      writeHistory(entries).then(resolve);
+    });
+  });
+}
+
+// Runs mutate(entries) on a fresh copy of the log, in order with every other
+// history write, and stores the result. Resolves to mutate's return value.
+function changeHistory(mutate) {
+  var result;
+  HISTORY_QUEUE = HISTORY_QUEUE.then(function () {
+    return readHistory().then(function (entries) {
+      result = mutate(entries);
+      if (entries.length > HISTORY_LIMIT) {
+        entries.length = HISTORY_LIMIT;
+      }
+      return writeHistory(entries);
+    });
+  }).then(function () {
+    return result;
+  });
+  return HISTORY_QUEUE;
+}
+
+// ─── Entries ──────────────────────────────────────────────────────────────────
+
+// Resolves to the new entry.
+function addHistoryEntry(fields) {
+  var entry = {
+    id:              "h_" + Date.now() + "_" + Math.random().toString(36).slice(2, 8),
+    kind:            fields.kind,
+    mode:            fields.mode || null,
+    source:          fields.source || null,
+    target:          fields.target,
+    source_tab_id:   fields.source_tab_id || null,
+    target_url:      "",
+    conversation_id: fields.conversation_id,
+    transcript:      clipHistoryTranscript(fields.transcript || ""),
+    status:          "pending",
+    error:           "",
+    started_at:      new Date().toISOString(),
+    completed_at:    "",
+    reply:           "",
+    memory_update:   null,
+  };
+  return changeHistory(function (entries) {
+    entries.unshift(entry);
+    return entry;
+  });
+}
+
+// Keeps the end of a long transcript, starting at a turn boundary when
+// there is one, behind a marker saying how much was left out.
+function clipHistoryTranscript(transcript) {
+  if (transcript.length <= HISTORY_TRANSCRIPT_LIMIT) return transcript;
+  var tail = transcript.slice(transcript.length - HISTORY_TRANSCRIPT_LIMIT);
+  var boundary = tail.search(/\n\n(?=(?:User|Assistant): )/);
+  if (boundary !== -1) tail = tail.slice(boundary + 2);
+  return "[... " + (transcript.length - tail.length) + " earlier characters not kept in history ...]\n\n" + tail;
+}
+
+function updateHistoryEntry(id, patch) {
+  if (!id) return Promise.resolve(null);
+  return changeHistory(function (entries) {
+    for (var i = 0; i < entries.length; i++) {
+      if (entries[i].id === id) {
+        for (var k in patch) entries[i][k] = patch[k];
+        return entries[i];
+      }
+    }
+    return null;
+  });
+}
+
+function deleteHistoryEntry(id) {
+  return changeHistory(function (entries) {
+    for (var i = 0; i < entries.length; i++) {
+      if (entries[i].id === id) {
+        entries.splice(i, 1);
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+function findHistoryEntry(entries, id) {
+  for (var i = 0; i < entries.length; i++) {
+    if (entries[i].id === id) return entries[i];
+  }
+  return null;
+}
@@ -0,0 +1,158 @@
+// utils/jobs.js — Persistent transfer job store
+//
+// Loaded into the service worker via importScripts("utils/jobs.js").
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs except chrome.storage.session.
+//
+// A Manifest V3 service worker can be suspended in the middle of a transfer,
+// which wipes every in-memory variable. Each in-flight transfer is therefore
+// a job mirrored into chrome.storage.session and rehydrated when the worker
+// starts again. Session storage survives worker restarts but not a browser
+// restart, which is the lifetime we want for tab-bound work.
+//
+// Job (one per target tab):
+//   { id, kind, mode, modelKey, sourceTabId, targetTabId, conversationId, groupId,
+//     historyId, contextBlock, state, error, created_at, updated_at, deadline }
+//
+//   kind:  "capture" | "replay" | "fanout" | "judge" | "mode"
+//   mode:  mode key (utils/modes.js) for kind "mode", else null
+//   state: "opening"  — target tab requested, waiting for {MODEL}_READY
+//          "injected" — context block delivered, target is typing/submitting
+//          "waiting"  — target submitted the prompt, waiting for {MODEL}_RESPONSE
+//          "done"     — response received and routed back     (terminal)
+//          "failed"   — timed out, tab closed or target error  (terminal)
+//
+// Terminal jobs are dropped from the store as soon as they are set; the
+// caller is responsible for reporting the outcome to the source tab.
+//
+// Group (fan-out / consensus progress shared by several jobs):
+//   { sourceTabId, sourceModel, conversationId, transcript, judgeKey, stage,
+//     results: { modelKey → { name, status, reply } } }
+
+var JOB_STORE_KEY = "dm_jobs";
+
+// How long a job may sit in each non-terminal state before it is failed.
+var JOB_TIMEOUTS = {
+  opening:  60000,   // tab load + content script READY
+  injected: 45000,   // target waits up to 15s for its input, then submits
+  waiting:  180000,  // target polls up to 90s once its reply starts streaming
+};
+
+var JOB_STORE = { jobs: {}, groups: {} };
+
+// ─── Load / save ──────────────────────────────────────────────────────────────
+
+// Resolves once the store has been rehydrated from chrome.storage.session.
+// Every handler that reads or writes jobs must wait on this first.
+var jobsReady = new Promise(function (resolve) {
+  chrome.storage.session.get(JOB_STORE_KEY, function (data) {
+    if (chrome.runtime.lastError) {
+      console.warn("[DuperMemory] storage.session.get failed:", chrome.runtime.lastError.message);
+      resolve();
+      return;
+    }
+    var stored = data[JOB_STORE_KEY];
+    if (stored) {
+      JOB_STORE.jobs   = stored.jobs   || {};
+      JOB_STORE.groups = stored.groups || {};
+    }
+    resolve();
+  });
+});
+
+function saveJobs() {
+  var data = {};
+  data[JOB_STORE_KEY] = JOB_STORE;
+  return new Promise(function (resolve) {
+    chrome.storage.session.set(data, function () {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.session.set failed:", chrome.runtime.lastError.message);
+      }
+      resolve();
+    });
+  });
+}
+
+// ─── Jobs ─────────────────────────────────────────────────────────────────────
+
+function createJob(fields) {
+  var now = Date.now();
+  var job = {
+    id:             "job_" + now + "_" + Math.random().toString(36).slice(2, 8),
+    kind:           fields.kind,
+    mode:           fields.mode || null,
+    modelKey:       fields.modelKey,
+    sourceTabId:    fields.sourceTabId,
+    targetTabId:    null,
+    conversationId: fields.conversationId,
+    groupId:        fields.groupId || null,
+    historyId:      fields.historyId || null,
+    contextBlock:   fields.contextBlock,
+    state:          "opening",
+    error:          "",
+    created_at:     now,
+    updated_at:     now,
+    deadline:       now + JOB_TIMEOUTS.opening,
+  };
+  JOB_STORE.jobs[job.id] = job;
+  saveJobs();
+  return job;
+}
+
+// Moves a job to a new state and restarts its timeout. Terminal states
+// remove the job from the store. patch is merged into the job first.
+function setJobState(job, state, patch) {
+  if (patch) {
+    for (var k in patch) job[k] = patch[k];
+  }
+  var now = Date.now();
+  job.state      = state;
+  job.updated_at = now;
+
+  if (state === "done" || state === "failed") {
+    delete JOB_STORE.jobs[job.id];
+  } else {
+    job.deadline = now + (JOB_TIMEOUTS[state] || JOB_TIMEOUTS.waiting);
+    JOB_STORE.jobs[job.id] = job;
+  }
+  saveJobs();
+  return job;
+}
+
+function findJobByTargetTab(tabId) {
+  if (!tabId) return null;
+  for (var id in JOB_STORE.jobs) {
+    if (JOB_STORE.jobs[id].targetTabId === tabId) return JOB_STORE.jobs[id];
+  }
+  return null;
+}
+
+function getExpiredJobs(now) {
+  var expired = [];
+  for (var id in JOB_STORE.jobs) {
+    if (JOB_STORE.jobs[id].deadline <= now) expired.push(JOB_STORE.jobs[id]);
+  }
+  return expired;
+}
+
+function hasActiveJobs() {
+  for (var id in JOB_STORE.jobs) return true;
+  return false;
+}
+
+// ─── Groups ───────────────────────────────────────────────────────────────────
+
+function createGroup(groupId, fields) {
+  JOB_STORE.groups[groupId] = fields;
+  saveJobs();
+  return fields;
+}
+
+function getGroup(groupId) {
+  return (groupId && JOB_STORE.groups[groupId]) || null;
+}
+
+function removeGroup(groupId) {
+  delete JOB_STORE.groups[groupId];
+  saveJobs();
+}
@@ -0,0 +1,49 @@
+// utils/judge-prompt.js — Consensus Judge Prompt Generator
+//
+// Loaded into the service worker via importScripts("utils/judge-prompt.js"),
+// after utils/format.js (uses appendMemoryNotes / appendMemoryInstruction).
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs.
+//
+// Takes the original transcript plus every target's reply from a consensus
+// fan-out and asks a "judge" model to reconcile them into one critique that
+// is sent back to the source tab.
+//
+// Layout mirrors formatContextBlockFromTranscript:
+//   1. Conversational opening
+//   2. Memory notes from prior sessions (if any)
+//   3. Raw transcript in --- delimiters
+//   4. Each reply in --- answers --- delimiters
+//   5. Judging instruction
+//   6. Memory note instruction with ---MEMORY--- delimiters
+
+// replies: [{ name: "ChatGPT", reply: "..." }, ...]
+function buildJudgePrompt(memory, transcript, replies) {
+  var lines = [];
+
+  lines.push("Hey \u2014 I asked several AI assistants for a second opinion on a conversation, and I need you to act as the judge.");
+
+  appendMemoryNotes(lines, memory);
+
+  lines.push("");
+  lines.push("--- transcript ---");
+  lines.push(sanitizeMetaPrompt(transcript));
+  lines.push("--- end transcript ---");
+
+  lines.push("");
+  lines.push("--- answers ---");
+  for (var i = 0; i < replies.length; i++) {
+    if (i > 0) lines.push("");
+    lines.push("[" + replies[i].name + "]");
+    lines.push(replies[i].reply);
+  }
+  lines.push("--- end answers ---");
+
+  lines.push("");
+  lines.push("Compare the answers above. Point out where they agree, where they disagree and which position holds up best.");
+  lines.push("Then write a single reconciled critique of the original assistant's last answer in the transcript — I will hand it back to that assistant so it can revise.");
+
+  appendMemoryInstruction(lines);
+
+  return lines.join("\n");
+}
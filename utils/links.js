@@ -0,0 +1,106 @@
+// utils/links.js — Manual conversation links
+//
+// Loaded into the service worker via importScripts("utils/links.js"), after
+// utils/memory.js and utils/settings.js and before utils/projects.js
+// (resolveConversationId follows links first). background.js is the only
+// writer; the widget links and unlinks through messages.
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs except chrome.storage.local.
+//
+// DUPERMEM_CHAIN_CONV_ID is only set on tabs DuperMemory opened as targets,
+// so a thread the user started by hand could never share a chain's memory.
+// Linking maps that thread's own conversation ID to any stored memory:
+// captures from the thread then read and merge the linked memory, and
+// whatever the thread's own memory held is merged in once, when linked.
+//
+// Stored under "dm_conv_links" as { conversationId → memory conversation_id }.
+
+var LINKS_KEY = "dm_conv_links";
+
+// A link may point at a memory that is itself linked; followed at most this
+// many times, which also stops cycles.
+var MAX_LINK_HOPS = 5;
+
+// Writes are chained, like project writes.
+var LINKS_QUEUE = Promise.resolve();
+
+// Resolves to the { conversationId → memory id } table.
+function readLinks() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.get(LINKS_KEY, function (result) {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.local.get failed:", chrome.runtime.lastError.message);
+        resolve({});
+        return;
+      }
+      resolve(result[LINKS_KEY] || {});
+    });
+  });
+}
+
+function changeLinks(mutate) {
+  var result;
+  LINKS_QUEUE = LINKS_QUEUE.then(function () {
+    return readLinks().then(function (links) {
+      result = mutate(links);
+      var data = {};
+      data[LINKS_KEY] = links;
+      return new Promise(function (resolve) {
+        chrome.storage.local.set(data, function () {
+          if (chrome.runtime.lastError) {
+            console.warn("[DuperMemory] storage.local.set failed:", chrome.runtime.lastError.message);
+          }
+          resolve();
+        });
+      });
+    });
+  }).then(function () {
+    return result;
+  });
+  return LINKS_QUEUE;
+}
+
+// Follows links from conversationId to the memory it should use.
+function followLinks(links, conversationId) {
+  var id = conversationId;
+  for (var hop = 0; hop < MAX_LINK_HOPS && id && links[id]; hop++) {
+    id = links[id];
+  }
+  return id;
+}
+
+// Resolves to the memory ID captures from conversationId should use.
+function resolveLinkedId(conversationId) {
+  if (!conversationId) return Promise.resolve(conversationId);
+  return readLinks().then(function (links) {
+    return followLinks(links, conversationId);
+  });
+}
+
+// Links conversationId to memoryId, merging the thread's own memory into it.
+// Resolves to false if the link would point back at the thread itself.
+function linkConversation(conversationId, memoryId) {
+  return changeLinks(function (links) {
+    var target = followLinks(links, memoryId);
+    if (!conversationId || !target || target === conversationId) return null;
+    links[conversationId] = memoryId;
+    return target;
+  }).then(function (target) {
+    if (!target) return false;
+    return Promise.all([readMemory(conversationId), readSettings()]).then(function (results) {
+      var own = results[0];
+      if (!memoryHasContent(own)) return true;
+      return updateMemory(target, function (memory) {
+        mergeStoredMemory(memory, own, results[1]);
+      }).then(function () {
+        return true;
+      });
+    });
+  });
+}
+
+function unlinkConversation(conversationId) {
+  return changeLinks(function (links) {
+    delete links[conversationId];
+  });
+}
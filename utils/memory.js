@@ -1,19 +1,58 @@
 // utils/memory.js — Central Memory Manager
 //
 // Loaded into the service worker via importScripts("utils/memory.js").
+// Also loaded by popup.html, whose detail editor writes corrections back
+// through writeMemory.
 // Must not use ES module syntax (no import/export).
 // Must not reference the DOM or any browser APIs except chrome.storage.local.
 //
 // Provides read, write, merge, and eviction for the central conversation memory.
 // One memory object per conversation, keyed by conversation ID.
+//
+// Any list item may carry pinned: true (set from the popup editor). Pinned
+// items are never evicted.
+//
+// Text items mentioned again by a later merge count it in mentions (absent
+// means 1) and record when in last_seen; eviction policies rank by these.
+//
+// Items added by mergeMemory carry provenance when the caller knows it:
+//   origin: { model, hop, reply_id }
+//     model    — MODEL_REGISTRY key of the AI whose reply added the item
+//     hop      — memory.iteration_count of that merge
+//     reply_id — transfer history entry (utils/history.js) holding the reply
+// Entities record the first sighting in origin and the latest update in
+// last_origin.
+//
+// Decisions and constraints that likely contradict each other (see
+// findContradiction in utils/similarity.js) are both kept, marked
+// status: "conflict", and described in memory.conflicts until the user
+// picks one in the popup. A clearly different user_goal is recorded there
+// as well before being overwritten; the topic drifts too freely to flag.
+//
+// Decisions, questions and constraints that absorbed paraphrases of
+// themselves keep those in variants: [...].
+
+// ─── Schema version ───────────────────────────────────────────────────────────
+//
+// Bump CURRENT_MEMORY_VERSION and add a step to MEMORY_MIGRATIONS whenever
+// the stored shape changes. Stored memories are upgraded one step at a time
+// when read, so a user skipping several releases still ends up current.
+
+var CURRENT_MEMORY_VERSION = 6;
 
 // ─── Size limits ──────────────────────────────────────────────────────────────
+//
+// Defaults; the user's settings (utils/settings.js) override the per-list
+// limits and eviction policy when the caller passes them to mergeMemory.
 
 var MEMORY_LIMITS = {
   maxEntities:      30,
+  maxFacts:         20,
   maxDecisions:     20,
   maxOpenQuestions: 10,
+  maxResolvedQuestions: 20,
   maxConstraints:   15,
+  maxConflicts:     10,
 };
 
 // ─── Empty memory template ────────────────────────────────────────────────────
@@ -21,18 +60,22 @@ var MEMORY_LIMITS = {
 function createEmptyMemory(conversationId) {
   var now = new Date().toISOString();
   return {
-    version:          1,
-    conversation_id:  conversationId,
-    created_at:       now,
-    updated_at:       now,
-    topic:            "",
-    user_goal:        "",
-    entities:         [],
-    decisions:        [],
-    open_questions:   [],
-    constraints:      [],
-    current_task:     "",
-    iteration_count:  0,
+    version:            CURRENT_MEMORY_VERSION,
+    conversation_id:    conversationId,
+    created_at:         now,
+    updated_at:         now,
+    topic:              "",
+    user_goal:          "",
+    entities:           [],
+    facts:              [],
+    decisions:          [],
+    open_questions:     [],
+    resolved_questions: [],
+    constraints:        [],
+    conflicts:          [],
+    current_task:       "",
+    iteration_count:    0,
+    revision:           0,
   };
 }
 
@@ -42,9 +85,149 @@ function memoryKey(conversationId) {
   return "dupermemory_" + conversationId;
 }
 
+// Conversation memories share the "dupermemory_" prefix with other extension
+// state (e.g. the FAB position), so check the value's shape too.
+function isStoredMemory(key, value) {
+  return key.indexOf("dupermemory_") === 0 &&
+    !!value && typeof value === "object" && typeof value.conversation_id === "string";
+}
+
+// ─── Migrations ───────────────────────────────────────────────────────────────
+//
+// MEMORY_MIGRATIONS[n] upgrades a version-n memory to version n+1 in place.
+
+var MEMORY_MIGRATIONS = {
+  // 1 → 2: fill in fields added after the first release (resolved_questions)
+  // or missing from hand-edited / partially written objects, turn bare-string
+  // decisions and questions into { text, added_at } and give every entity the
+  // mentions / type / summary fields mergeMemory and evict rely on.
+  // The field list is the version-2 shape, frozen here; later fields are
+  // added by their own steps.
+  1: function (memory) {
+    var now = new Date().toISOString();
+    var template = {
+      created_at:         now,
+      updated_at:         now,
+      topic:              "",
+      user_goal:          "",
+      entities:           [],
+      decisions:          [],
+      open_questions:     [],
+      resolved_questions: [],
+      constraints:        [],
+      current_task:       "",
+      iteration_count:    0,
+    };
+    for (var key in template) {
+      if (memory[key] === undefined || memory[key] === null) memory[key] = template[key];
+    }
+    var stamp = memory.updated_at;
+
+    var lists = ["entities", "decisions", "open_questions", "resolved_questions", "constraints"];
+    for (var l = 0; l < lists.length; l++) {
+      if (!Array.isArray(memory[lists[l]])) memory[lists[l]] = [];
+    }
+
+    memory.entities = memory.entities.filter(function (e) {
+      return e && typeof e.name === "string" && e.name.trim();
+    });
+    for (var i = 0; i < memory.entities.length; i++) {
+      var e = memory.entities[i];
+      if (typeof e.mentions !== "number") e.mentions = 1;
+      if (!e.type)         e.type = "other";
+      if (!e.summary)      e.summary = "";
+      if (!e.last_updated) e.last_updated = stamp;
+    }
+
+    var textLists = ["decisions", "open_questions", "resolved_questions"];
+    for (var t = 0; t < textLists.length; t++) {
+      memory[textLists[t]] = memory[textLists[t]].filter(Boolean).map(function (item) {
+        if (typeof item === "string") return { text: item, added_at: stamp };
+        if (!item.added_at) item.added_at = stamp;
+        return item;
+      });
+    }
+
+    memory.constraints = memory.constraints.filter(Boolean);
+    if (typeof memory.iteration_count !== "number") memory.iteration_count = 0;
+  },
+
+  // 2 → 3: revision counter for serialized updates (updateMemory).
+  2: function (memory) {
+    if (typeof memory.revision !== "number") memory.revision = 0;
+  },
+
+  // 3 → 4: constraints become { text, added_at } like decisions, so they
+  // can carry variants from near-duplicate merging.
+  3: function (memory) {
+    var stamp = memory.updated_at || new Date().toISOString();
+    memory.constraints = memory.constraints.map(function (item) {
+      return typeof item === "string" ? { text: item, added_at: stamp } : item;
+    });
+  },
+
+  // 4 → 5: facts become a stored category (previously parsed and dropped).
+  4: function (memory) {
+    if (!Array.isArray(memory.facts)) memory.facts = [];
+  },
+
+  // 5 → 6: contradiction records.
+  5: function (memory) {
+    if (!Array.isArray(memory.conflicts)) memory.conflicts = [];
+  },
+};
+
+var MAX_VARIANTS = 5;
+
+// Upgrades a stored memory to CURRENT_MEMORY_VERSION in place and returns it.
+// Memories without a version predate versioning and are treated as version 1.
+// A memory from a newer extension build is returned untouched.
+function migrateMemory(memory) {
+  var version = typeof memory.version === "number" ? memory.version : 1;
+  if (version > CURRENT_MEMORY_VERSION) {
+    console.warn("[DuperMemory] memory " + memory.conversation_id + " has newer schema version " + version);
+    return memory;
+  }
+  while (version < CURRENT_MEMORY_VERSION) {
+    MEMORY_MIGRATIONS[version](memory);
+    version++;
+    memory.version = version;
+  }
+  return normalizeMemory(memory);
+}
+
+// The migrations only run on older versions, so a current-version memory
+// that was hand-edited or half-written (a backup without user_goal, a null
+// left in a list) is patched here, whatever its version: missing text fields
+// become "", missing lists [], and null list entries are dropped.
+function normalizeMemory(memory) {
+  var fields = ["topic", "user_goal", "current_task"];
+  for (var f = 0; f < fields.length; f++) {
+    if (memory[fields[f]] === undefined || memory[fields[f]] === null) memory[fields[f]] = "";
+  }
+  var lists = ["entities", "facts", "decisions", "open_questions", "resolved_questions", "constraints", "conflicts"];
+  for (var l = 0; l < lists.length; l++) {
+    var list = memory[lists[l]];
+    if (list === undefined || list === null) memory[lists[l]] = [];
+    else if (Array.isArray(list)) memory[lists[l]] = list.filter(function (item) { return item !== null && item !== undefined; });
+  }
+  if (typeof memory.iteration_count !== "number") memory.iteration_count = 0;
+  if (typeof memory.revision !== "number") memory.revision = 0;
+  return memory;
+}
+
+// True once the memory holds anything worth carrying over, e.g. when a
+// thread's own memory is folded into a project or linked memory.
+function memoryHasContent(memory) {
+  return !!(memory.iteration_count || memory.topic || memory.entities.length > 0 ||
+    memory.facts.length > 0 || memory.decisions.length > 0);
+}
+
 // ─── Read ─────────────────────────────────────────────────────────────────────
 
 // Returns a Promise that resolves to the memory object, or a fresh empty one.
+// Stored memories are migrated to the current schema; the upgraded copy is
+// persisted by the next writeMemory.
 function readMemory(conversationId) {
   var key = memoryKey(conversationId);
   return new Promise(function (resolve) {
@@ -54,7 +237,21 @@ function readMemory(conversationId) {
         resolve(createEmptyMemory(conversationId));
         return;
       }
-      resolve(result[key] || createEmptyMemory(conversationId));
+      resolve(result[key] ? migrateMemory(result[key]) : createEmptyMemory(conversationId));
+    });
+  });
+}
+
+// Resolves to the revision currently in storage (0 if the memory is absent).
+function readStoredRevision(conversationId) {
+  var key = memoryKey(conversationId);
+  return new Promise(function (resolve) {
+    chrome.storage.local.get(key, function (result) {
+      if (chrome.runtime.lastError || !result[key]) {
+        resolve(0);
+        return;
+      }
+      resolve(result[key].revision || 0);
     });
   });
 }
@@ -62,20 +259,92 @@ function readMemory(conversationId) {
 // ─── Write ────────────────────────────────────────────────────────────────────
 
 // Returns a Promise that resolves when the write completes.
+// Prefer updateMemory for read-modify-write; this stores memory as given.
+// A write that hits the storage quota frees space (freeStorageSpace,
+// utils/retention.js) and is retried once; if it still fails the Promise
+// rejects with err.quota set so the caller can report it. Other failures
+// reject as they are.
 function writeMemory(memory) {
-  var key = memoryKey(memory.conversation_id);
+  return storeMemory(memory).catch(function (err) {
+    if (!isQuotaError(err.message)) throw err;
+    return freeStorageSpace().then(function () {
+      return storeMemory(memory);
+    }).catch(function (retryErr) {
+      var full = new Error("Storage is full (" + retryErr.message + "). Archive or clear old memories in the DuperMemory popup.");
+      full.quota = true;
+      throw full;
+    });
+  });
+}
+
+function storeMemory(memory) {
   var data = {};
-  data[key] = memory;
-  return new Promise(function (resolve) {
+  data[memoryKey(memory.conversation_id)] = memory;
+  return new Promise(function (resolve, reject) {
     chrome.storage.local.set(data, function () {
       if (chrome.runtime.lastError) {
-        console.warn("[DuperMemory] storage.local.set failed:", chrome.runtime.lastError.message);
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
       }
       resolve();
     });
   });
 }
 
+// ─── Serialized updates ───────────────────────────────────────────────────────
+//
+// Two targets replying for the same conversation would otherwise run
+// readMemory → mergeMemory → writeMemory side by side, and the last write
+// would drop the other's entities and decisions. updateMemory queues every
+// read-modify-write per conversation within this context, and bumps
+// memory.revision on each write. Writers in other contexts (the popup) are
+// caught by comparing revisions just before the write: if the stored
+// revision moved since the read, the update is re-run on the fresh copy.
+// If it keeps moving past MEMORY_UPDATE_RETRIES re-runs, the update rejects
+// rather than overwrite the other writer's changes.
+//
+// mutate(memory) changes memory in place, or returns a replacement object,
+// or returns false to skip the write. It may run more than once, so it must
+// only depend on its argument and captured inputs.
+
+var MEMORY_QUEUES         = {};
+var MEMORY_UPDATE_RETRIES = 3;
+
+// Resolves to the memory as written.
+function updateMemory(conversationId, mutate) {
+  var previous = MEMORY_QUEUES[conversationId] || Promise.resolve();
+  var run = previous.then(function () {
+    return applyMemoryUpdate(conversationId, mutate, MEMORY_UPDATE_RETRIES);
+  });
+
+  var tail = run.catch(function () {});
+  MEMORY_QUEUES[conversationId] = tail;
+  tail.then(function () {
+    if (MEMORY_QUEUES[conversationId] === tail) delete MEMORY_QUEUES[conversationId];
+  });
+  return run;
+}
+
+function applyMemoryUpdate(conversationId, mutate, retries) {
+  return readMemory(conversationId).then(function (memory) {
+    var baseRevision = memory.revision || 0;
+    var result = mutate(memory);
+    if (result === false) return memory;
+    if (result && typeof result === "object") memory = result;
+
+    return readStoredRevision(conversationId).then(function (stored) {
+      if (stored !== baseRevision) {
+        if (retries > 0) return applyMemoryUpdate(conversationId, mutate, retries - 1);
+        throw new Error("The memory kept changing in another window while it was being saved. Try again.");
+      }
+      memory.revision = baseRevision + 1;
+      return writeMemory(memory).then(function () {
+        return memory;
+      });
+    });
+  });
+}
+
 // ─── Merge summary into memory ───────────────────────────────────────────────
 //
 // Takes the existing memory and a new summary object from ChatGPT's
@@ -84,24 +353,40 @@ function writeMemory(memory) {
 // summary shape (from parseTargetResponse / parseMemoryBlock):
 //   {
 //     topic, user_goal, current_task,
-//     important_facts: [...],
+//     important_facts: [...],      → facts
 //     decisions_made: [...],
 //     open_questions: [...],       ← new
+//     resolved_questions: [        → moved out of open_questions
+//       { question, answer }
+//     ],
 //     constraints: [...],          ← new
 //     entities: [                  ← new
 //       { name, type, summary }
 //     ]
 //   }
 
-function mergeMemory(memory, summary) {
+// meta (optional): { model, replyId, settings } — key of the model whose
+// reply carried the summary and the history entry of that reply, recorded as
+// provenance; settings (readSettings) supply the limits and eviction policy.
+function mergeMemory(memory, summary, meta) {
+  var model = (meta && meta.model) || "";
   var now = new Date().toISOString();
 
-  // Overwrite scalar fields with latest values.
+  memory.updated_at = now;
+  memory.iteration_count++;
+
+  var origin = model ? {
+    model:    model,
+    hop:      memory.iteration_count,
+    reply_id: (meta && meta.replyId) || "",
+  } : null;
+
+  // Overwrite scalar fields with latest values, keeping a record of a goal
+  // that changed outright.
+  flagFieldChange(memory, "user_goal", summary.user_goal, origin);
   memory.topic        = summary.topic        || memory.topic;
   memory.user_goal    = summary.user_goal    || memory.user_goal;
   memory.current_task = summary.current_task || memory.current_task;
-  memory.updated_at   = now;
-  memory.iteration_count++;
 
   // ── Entities ──────────────────────────────────────────────────────────────
   if (Array.isArray(summary.entities)) {
@@ -119,42 +404,63 @@ function mergeMemory(memory, summary) {
           memory.entities[j].last_updated = now;
           if (incoming.summary) memory.entities[j].summary = incoming.summary;
           if (incoming.type)    memory.entities[j].type    = incoming.type;
+          if (origin)           memory.entities[j].last_origin = origin;
           found = true;
           break;
         }
       }
 
       if (!found) {
-        memory.entities.push({
+        var entity = {
           name:         incoming.name.trim(),
           type:         incoming.type || "other",
           summary:      incoming.summary || "",
           mentions:     1,
           last_updated: now,
-        });
+        };
+        if (origin) entity.origin = origin;
+        memory.entities.push(entity);
       }
     }
   }
 
+  // ── Facts ─────────────────────────────────────────────────────────────────
+  if (Array.isArray(summary.important_facts)) {
+    for (var f = 0; f < summary.important_facts.length; f++) {
+      var fact = String(summary.important_facts[f]).trim();
+      if (!fact) continue;
+      mergeTextItem(memory.facts, textItem(fact, now, origin));
+    }
+  }
+
   // ── Decisions ─────────────────────────────────────────────────────────────
   if (Array.isArray(summary.decisions_made)) {
     for (var d = 0; d < summary.decisions_made.length; d++) {
       var dec = String(summary.decisions_made[d]).trim();
       if (!dec) continue;
-      if (!isDuplicate(memory.decisions, dec)) {
-        memory.decisions.push({ text: dec, added_at: now });
-      }
+      mergeCheckedItem(memory, "decisions", textItem(dec, now, origin));
+    }
+  }
+
+  // ── Resolved questions ────────────────────────────────────────────────────
+  // Before open questions, so a reply that resolves a question and still
+  // lists it as open does not immediately reopen it.
+  if (Array.isArray(summary.resolved_questions)) {
+    for (var r = 0; r < summary.resolved_questions.length; r++) {
+      var res = summary.resolved_questions[r];
+      if (!res || !res.question) continue;
+      resolveQuestion(memory, String(res.question).trim(), String(res.answer || "").trim(), model);
     }
   }
 
   // ── Open questions ────────────────────────────────────────────────────────
+  // Questions already settled stay settled; models often repeat them.
   if (Array.isArray(summary.open_questions)) {
     for (var q = 0; q < summary.open_questions.length; q++) {
       var question = String(summary.open_questions[q]).trim();
       if (!question) continue;
-      if (!isDuplicate(memory.open_questions, question)) {
-        memory.open_questions.push({ text: question, added_at: now });
-      }
+      if (findDuplicate(memory.resolved_questions, question)) continue;
+      mergeTextItem(memory.open_questions, textItem(question, now, origin));
     }
   }
 
@@ -163,68 +469,407 @@ function mergeMemory(memory, summary) {
     for (var c = 0; c < summary.constraints.length; c++) {
       var constraint = String(summary.constraints[c]).trim();
       if (!constraint) continue;
-      if (memory.constraints.indexOf(constraint) === -1) {
-        memory.constraints.push(constraint);
-      }
+      mergeCheckedItem(memory, "constraints", textItem(constraint, now, origin));
     }
   }
 
   // ── Eviction ──────────────────────────────────────────────────────────────
-  evict(memory);
+  evict(memory, meta && meta.settings);
+  syncConflicts(memory);
 
   return memory;
 }
 
+function textItem(text, now, origin) {
+  var item = { text: text, added_at: now };
+  if (origin) item.origin = origin;
+  return item;
+}
+
+// ─── Contradictions ───────────────────────────────────────────────────────────
+//
+// Conflict record:
+//   { id, kind: "item" | "field", reason, detected_at, origin,
+//     existing_list, existing,     ← stored text ("item": list name it is in)
+//     incoming_list, incoming }    ← new text
+// For kind "field", the lists are the field name ("user_goal"; records made
+// before topic changes stopped being flagged may say "topic") and existing
+// is the value that was overwritten.
+
+var CONFLICT_LISTS = ["decisions", "constraints"];
+
+// Goal rewrites sharing less than this much wording (after aliases and
+// stemming) are recorded. Kept low: a reworded goal should not warn.
+var FIELD_CHANGE_THRESHOLD = 0.2;
+
+// Adds item to memory[listName] like mergeTextItem, first flagging any stored
+// decision or constraint it contradicts.
+function mergeCheckedItem(memory, listName, item) {
+  if (!findDuplicate(memory[listName], item.text)) {
+    for (var l = 0; l < CONFLICT_LISTS.length; l++) {
+      var list = memory[CONFLICT_LISTS[l]];
+      for (var i = 0; i < list.length; i++) {
+        var reason = findContradiction(list[i].text, item.text);
+        if (!reason) continue;
+        recordConflict(memory, {
+          kind:          "item",
+          reason:        reason,
+          origin:        item.origin || null,
+          existing_list: CONFLICT_LISTS[l],
+          existing:      list[i].text,
+          incoming_list: listName,
+          incoming:      item.text,
+        });
+      }
+    }
+  }
+  mergeTextItem(memory[listName], item);
+}
+
+function flagFieldChange(memory, field, incoming, origin) {
+  var existing = memory[field];
+  if (!existing || !incoming || existing === incoming) return;
+  if (textSimilarity(existing, incoming) >= FIELD_CHANGE_THRESHOLD) return;
+  recordConflict(memory, {
+    kind:          "field",
+    reason:        "goal changed",
+    origin:        origin,
+    existing_list: field,
+    existing:      existing,
+    incoming_list: field,
+    incoming:      incoming,
+  });
+}
+
+function recordConflict(memory, fields) {
+  fields.id = "cf_" + Date.now() + "_" + Math.random().toString(36).slice(2, 8);
+  fields.detected_at = new Date().toISOString();
+  memory.conflicts.push(fields);
+}
+
+function findTextIndex(list, text) {
+  for (var i = 0; i < list.length; i++) {
+    if (list[i].text === text) return i;
+  }
+  return -1;
+}
+
+// Drops item records whose items are gone (deleted, edited or evicted),
+// keeps the newest maxConflicts, and re-derives status: "conflict" on the
+// decisions and constraints still referenced.
+function syncConflicts(memory) {
+  memory.conflicts = memory.conflicts.filter(function (c) {
+    if (c.kind !== "item") return true;
+    return findTextIndex(memory[c.existing_list] || [], c.existing) !== -1 &&
+           findTextIndex(memory[c.incoming_list] || [], c.incoming) !== -1;
+  });
+  if (memory.conflicts.length > MEMORY_LIMITS.maxConflicts) {
+    memory.conflicts = memory.conflicts.slice(memory.conflicts.length - MEMORY_LIMITS.maxConflicts);
+  }
+
+  for (var l = 0; l < CONFLICT_LISTS.length; l++) {
+    var list = memory[CONFLICT_LISTS[l]];
+    for (var i = 0; i < list.length; i++) {
+      if (list[i].status === "conflict") delete list[i].status;
+    }
+  }
+  for (var c = 0; c < memory.conflicts.length; c++) {
+    var rec = memory.conflicts[c];
+    if (rec.kind !== "item") continue;
+    memory[rec.existing_list][findTextIndex(memory[rec.existing_list], rec.existing)].status = "conflict";
+    memory[rec.incoming_list][findTextIndex(memory[rec.incoming_list], rec.incoming)].status = "conflict";
+  }
+}
+
+// Settles a conflict. keep: "existing" | "incoming" | "both".
+// For items the losing text is deleted; for fields "existing" restores the
+// overwritten value. Returns false if the conflict no longer exists.
+function resolveConflict(memory, conflictId, keep) {
+  var rec = null;
+  for (var c = 0; c < memory.conflicts.length; c++) {
+    if (memory.conflicts[c].id === conflictId) rec = memory.conflicts.splice(c, 1)[0];
+  }
+  if (!rec) return false;
+
+  if (rec.kind === "field") {
+    if (keep === "existing") memory[rec.existing_list] = rec.existing;
+  } else if (keep === "existing" || keep === "incoming") {
+    var listName = keep === "existing" ? rec.incoming_list : rec.existing_list;
+    var i = findTextIndex(memory[listName], keep === "existing" ? rec.incoming : rec.existing);
+    if (i !== -1) memory[listName].splice(i, 1);
+  }
+  syncConflicts(memory);
+  return true;
+}
+
+// ─── Question lifecycle ───────────────────────────────────────────────────────
+//
+// Resolved question: { text, added_at, resolved_at, answer, resolved_by,
+//                      superseded: [{ answer, resolved_by, resolved_at }] }
+// resolved_by is a model key, or "user" when resolved from the popup.
+// A later, different answer to a settled question supersedes the earlier
+// one, which is kept (newest MAX_VARIANTS) in superseded.
+
+// Moves the open question matching question (if any) to resolved_questions.
+function resolveQuestion(memory, question, answer, model) {
+  var open = findDuplicate(memory.open_questions, question);
+  settleQuestion(memory, open ? memory.open_questions.indexOf(open) : -1, question, answer, model);
+}
+
+// Settles open_questions[openIndex] (or, with openIndex -1, a question that
+// was never recorded as open) with answer.
+function settleQuestion(memory, openIndex, question, answer, model) {
+  var now  = new Date().toISOString();
+  var open = openIndex >= 0 ? memory.open_questions.splice(openIndex, 1)[0] : null;
+  var text = open ? open.text : question;
+
+  var settled = findDuplicate(memory.resolved_questions, text);
+  if (settled) {
+    if (!answer || answer === settled.answer) return;
+    if (settled.answer) {
+      settled.superseded = (settled.superseded || []).concat({
+        answer:      settled.answer,
+        resolved_by: settled.resolved_by || "",
+        resolved_at: settled.resolved_at || "",
+      }).slice(-MAX_VARIANTS);
+    }
+    settled.answer      = answer;
+    settled.resolved_by = model || "";
+    settled.resolved_at = now;
+    return;
+  }
+
+  var entry = {
+    text:        text,
+    added_at:    open ? open.added_at : now,
+    resolved_at: now,
+    answer:      answer || "",
+    resolved_by: model || "",
+  };
+  if (open && open.pinned) entry.pinned = true;
+  memory.resolved_questions.push(entry);
+}
+
+// ─── Merge two stored memories ───────────────────────────────────────────────
+//
+// Folds other (e.g. the same conversation from an imported backup) into
+// memory, in place, evicting with settings (optional, as in mergeMemory).
+// List items are unioned with the usual duplicate checks;
+// scalar fields that are set on both sides but disagree take the value from
+// the more recently updated memory and are returned as conflicts:
+//   [{ field, local, imported }]
+
+function mergeStoredMemory(memory, other, settings) {
+  var conflicts = [];
+  var otherNewer = (other.updated_at || "") > (memory.updated_at || "");
+
+  var scalars = ["topic", "user_goal", "current_task"];
+  for (var s = 0; s < scalars.length; s++) {
+    var field = scalars[s];
+    var mine = memory[field] || "", theirs = other[field] || "";
+    if (!theirs || mine === theirs) continue;
+    if (mine) conflicts.push({ field: field, local: mine, imported: theirs });
+    if (!mine || otherNewer) memory[field] = theirs;
+  }
+
+  var entities = other.entities || [];
+  for (var i = 0; i < entities.length; i++) {
+    var incoming = entities[i];
+    if (!incoming || !incoming.name) continue;
+    var match = null;
+    for (var j = 0; j < memory.entities.length; j++) {
+      if (memory.entities[j].name.toLowerCase().trim() === incoming.name.toLowerCase().trim()) {
+        match = memory.entities[j];
+        break;
+      }
+    }
+    if (!match) {
+      memory.entities.push(incoming);
+      continue;
+    }
+    match.mentions = Math.max(match.mentions || 0, incoming.mentions || 0);
+    if (incoming.pinned) match.pinned = true;
+    if (otherNewer && incoming.summary) match.summary = incoming.summary;
+  }
+
+  var lists = ["facts", "decisions", "open_questions", "constraints"];
+  for (var l = 0; l < lists.length; l++) {
+    var items = other[lists[l]] || [];
+    for (var k = 0; k < items.length; k++) {
+      mergeTextItem(memory[lists[l]], items[k], true);
+    }
+  }
+
+  var resolved = other.resolved_questions || [];
+  for (var x = 0; x < resolved.length; x++) {
+    if (!hasItemText(memory.resolved_questions, resolved[x].text)) {
+      memory.resolved_questions.push(resolved[x]);
+    }
+  }
+
+  var known = {};
+  for (var kc = 0; kc < memory.conflicts.length; kc++) known[memory.conflicts[kc].id] = true;
+  var otherConflicts = other.conflicts || [];
+  for (var oc = 0; oc < otherConflicts.length; oc++) {
+    if (!known[otherConflicts[oc].id]) memory.conflicts.push(otherConflicts[oc]);
+  }
+
+  memory.iteration_count = Math.max(memory.iteration_count || 0, other.iteration_count || 0);
+  if (other.created_at && (!memory.created_at || other.created_at < memory.created_at)) {
+    memory.created_at = other.created_at;
+  }
+  if (otherNewer) memory.updated_at = other.updated_at;
+
+  evict(memory, settings);
+  syncConflicts(memory);
+  return conflicts;
+}
+
 // ─── Duplicate detection ──────────────────────────────────────────────────────
 //
-// Simple substring check: if the new string is a substring of an existing entry
-// or vice versa, treat it as a duplicate. Not perfect, but avoids accumulating
-// near-identical entries without requiring an LLM call.
+// A new text duplicates an existing entry if both read the same once case
+// and spacing are ignored, or if they are paraphrases by token overlap
+// (isNearDuplicate in utils/similarity.js). Containment alone is not enough:
+// "Use Redis" sits inside "Do not use Redis". Still no LLM call, so the odd
+// miss is expected.
+
+function normalizeItemText(text) {
+  return text.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+// Returns the existing entry newText duplicates, or null.
+// An entry negated the other way never counts, however close the wording.
+function findDuplicate(existingArray, newText) {
+  var wanted  = normalizeItemText(newText);
+  var negated = normalizeTokens(newText).negated;
+  var candidates = existingArray.filter(function (entry) {
+    return normalizeTokens(entry.text || entry).negated === negated;
+  });
+  for (var i = 0; i < candidates.length; i++) {
+    if (normalizeItemText(candidates[i].text || candidates[i]) === wanted) return candidates[i];
+  }
+  for (var j = 0; j < candidates.length; j++) {
+    if (isNearDuplicate(candidates[j].text || candidates[j], newText)) return candidates[j];
+  }
+  return null;
+}
 
-function isDuplicate(existingArray, newText) {
-  var lower = newText.toLowerCase();
+// Adds item ({ text, added_at, ... }) to list, or folds it into the entry it
+// duplicates by recording its wording (and any variants it carries) there.
+// A new mention counts once. When stored is true, item comes from another
+// stored memory (mergeStoredMemory) and already carries its own count, so
+// the larger count is kept: merging the same memory twice must not inflate
+// mentions.
+function mergeTextItem(list, item, stored) {
+  var match = findDuplicate(list, item.text);
+  if (!match) {
+    list.push(item);
+    return;
+  }
+  var wordings = [item.text].concat(item.variants || []);
+  for (var i = 0; i < wordings.length; i++) {
+    addVariant(match, wordings[i]);
+  }
+  if (item.pinned) match.pinned = true;
+  match.mentions = stored
+    ? Math.max(match.mentions || 1, item.mentions || 1)
+    : (match.mentions || 1) + 1;
+  var seen = item.last_seen || item.added_at;
+  if (seen && seen > (match.last_seen || match.added_at || "")) match.last_seen = seen;
+}
+
+// Keeps the MAX_VARIANTS most recent alternative wordings of an entry.
+function addVariant(entry, text) {
+  var lower = text.toLowerCase();
+  if (entry.text.toLowerCase() === lower) return;
+  if (!entry.variants) entry.variants = [];
+  for (var i = 0; i < entry.variants.length; i++) {
+    if (entry.variants[i].toLowerCase() === lower) return;
+  }
+  entry.variants.push(text);
+  if (entry.variants.length > MAX_VARIANTS) {
+    entry.variants = entry.variants.slice(entry.variants.length - MAX_VARIANTS);
+  }
+}
+
+// Exact (case-sensitive) text match for lists that may mix plain strings
+// and { text } objects, e.g. constraints after one has been pinned.
+function hasItemText(existingArray, text) {
   for (var i = 0; i < existingArray.length; i++) {
-    var existing = (existingArray[i].text || existingArray[i]).toLowerCase();
-    if (existing === lower) return true;
-    if (existing.indexOf(lower) !== -1 || lower.indexOf(existing) !== -1) return true;
+    if ((existingArray[i].text || existingArray[i]) === text) return true;
   }
   return false;
 }
 
 // ─── Eviction ─────────────────────────────────────────────────────────────────
 //
-// When a category exceeds its limit, drop the oldest items first.
-// Entities: sort by mentions ascending, then by last_updated ascending → drop lowest.
-// Decisions/questions: drop from the front (oldest first).
+// When a list exceeds its limit, unpinned items are dropped in the order of
+// its eviction policy until it fits:
+//   "oldest"   — first added goes first
+//   "lru"      — least recently mentioned goes first (last_seen, entities
+//                last_updated, resolved questions resolved_at)
+//   "priority" — fewest mentions goes first, least recently mentioned
+//                breaking ties
+// Pinned items are skipped, so a list can stay over its limit if the user
+// pinned more items than it allows. The remaining items keep their order.
 
-function evict(memory) {
-  // Entities: keep most-mentioned, most-recent.
-  if (memory.entities.length > MEMORY_LIMITS.maxEntities) {
-    memory.entities.sort(function (a, b) {
-      if (a.mentions !== b.mentions) return b.mentions - a.mentions;
-      return (a.last_updated || "").localeCompare(b.last_updated || "");
-    });
-    memory.entities = memory.entities.slice(0, MEMORY_LIMITS.maxEntities);
-  }
+var EVICTION_POLICIES = ["oldest", "lru", "priority"];
+
+// Per-list defaults, used for anything settings do not override.
+var EVICTION_DEFAULTS = {
+  entities:           { limit: MEMORY_LIMITS.maxEntities,          policy: "priority" },
+  facts:              { limit: MEMORY_LIMITS.maxFacts,             policy: "oldest" },
+  decisions:          { limit: MEMORY_LIMITS.maxDecisions,         policy: "oldest" },
+  open_questions:     { limit: MEMORY_LIMITS.maxOpenQuestions,     policy: "oldest" },
+  resolved_questions: { limit: MEMORY_LIMITS.maxResolvedQuestions, policy: "oldest" },
+  constraints:        { limit: MEMORY_LIMITS.maxConstraints,       policy: "oldest" },
+};
 
-  // Decisions: drop oldest.
-  if (memory.decisions.length > MEMORY_LIMITS.maxDecisions) {
-    memory.decisions = memory.decisions.slice(
-      memory.decisions.length - MEMORY_LIMITS.maxDecisions
-    );
+// settings (optional): { limits: { list → n }, eviction: { list → policy } }
+function evict(memory, settings) {
+  var limits   = (settings && settings.limits)   || {};
+  var policies = (settings && settings.eviction) || {};
+  for (var field in EVICTION_DEFAULTS) {
+    var limit  = limits[field] > 0 ? limits[field] : EVICTION_DEFAULTS[field].limit;
+    var policy = EVICTION_POLICIES.indexOf(policies[field]) !== -1 ? policies[field] : EVICTION_DEFAULTS[field].policy;
+    if (memory[field].length > limit) {
+      memory[field] = dropByPolicy(memory[field], limit, policy);
+    }
   }
+}
 
-  // Open questions: drop oldest.
-  if (memory.open_questions.length > MEMORY_LIMITS.maxOpenQuestions) {
-    memory.open_questions = memory.open_questions.slice(
-      memory.open_questions.length - MEMORY_LIMITS.maxOpenQuestions
-    );
+// Returns list without the unpinned items policy ranks lowest, down to max.
+function dropByPolicy(list, max, policy) {
+  var candidates = [];
+  for (var i = 0; i < list.length; i++) {
+    if (!(list[i] && list[i].pinned)) candidates.push(i);
+  }
+  if (policy !== "oldest") {
+    candidates.sort(function (a, b) {
+      if (policy === "priority") {
+        var diff = itemMentions(list[a]) - itemMentions(list[b]);
+        if (diff !== 0) return diff;
+      }
+      return itemLastSeen(list[a]).localeCompare(itemLastSeen(list[b])) || a - b;
+    });
   }
 
-  // Constraints: drop oldest.
-  if (memory.constraints.length > MEMORY_LIMITS.maxConstraints) {
-    memory.constraints = memory.constraints.slice(
-      memory.constraints.length - MEMORY_LIMITS.maxConstraints
-    );
+  var drop = {};
+  for (var d = 0; d < candidates.length && d < list.length - max; d++) {
+    drop[candidates[d]] = true;
   }
+  var kept = [];
+  for (var k = 0; k < list.length; k++) {
+    if (!drop[k]) kept.push(list[k]);
+  }
+  return kept;
+}
+
+function itemMentions(item) {
+  return (item && item.mentions) || 1;
+}
+
+function itemLastSeen(item) {
+  if (!item || typeof item !== "object") return "";
+  return item.last_seen || item.last_updated || item.resolved_at || item.added_at || "";
 }
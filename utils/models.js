@@ -2,11 +2,16 @@
 //
 // Loaded into the service worker via importScripts("utils/models.js").
 // Also loaded into content scripts via manifest.json for dropdown UI.
+// Also loaded by popup.html to label and re-route transfer history entries.
 // Must not use ES module syntax (no import/export).
 // Must not reference the DOM or any browser APIs.
 //
 // Maps model keys to their metadata. Used by background.js for routing
 // and by all content scripts for the dropdown UI (via message passing).
+//
+// contextBudget is the most characters (roughly 4 per token) a context block
+// for that model may have before its transcript is compressed
+// (utils/compress.js). The settings page can override it per model.
 
 var MODEL_REGISTRY = {
   chatgpt: {
@@ -15,6 +20,7 @@ var MODEL_REGISTRY = {
     url: "https://chatgpt.com",
     readyType: "CHATGPT_READY",
     responseType: "CHATGPT_RESPONSE",
+    contextBudget: 100000,
   },
   claude: {
     key: "claude",
@@ -22,6 +28,7 @@ var MODEL_REGISTRY = {
     url: "https://claude.ai",
     readyType: "CLAUDE_READY",
     responseType: "CLAUDE_RESPONSE",
+    contextBudget: 150000,
   },
   gemini: {
     key: "gemini",
@@ -29,6 +36,7 @@ var MODEL_REGISTRY = {
     url: "https://gemini.google.com/app",
     readyType: "GEMINI_READY",
     responseType: "GEMINI_RESPONSE",
+    contextBudget: 150000,
   },
   perplexity: {
     key: "perplexity",
@@ -36,6 +44,7 @@ var MODEL_REGISTRY = {
     url: "https://www.perplexity.ai/",
     readyType: "PERPLEXITY_READY",
     responseType: "PERPLEXITY_RESPONSE",
+    contextBudget: 40000,
   },
   deepseek: {
     key: "deepseek",
@@ -43,6 +52,7 @@ var MODEL_REGISTRY = {
     url: "https://chat.deepseek.com/",
     readyType: "DEEPSEEK_READY",
     responseType: "DEEPSEEK_RESPONSE",
+    contextBudget: 80000,
   },
 };
 
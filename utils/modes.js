@@ -0,0 +1,107 @@
+// utils/modes.js — Transfer modes
+//
+// Loaded into the service worker via importScripts("utils/modes.js"), after
+// utils/format.js (isMetaInstruction), and by popup.html to label transfer
+// history entries.
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs.
+//
+// "Ask AI" and "Replay" cover second opinions. A mode is another kind of
+// transfer with its own instruction and its own reply handling:
+//   task   — the mode's instruction, which fills {{task}} in the capture
+//            template (buildCaptureContext in background.js), so a mode
+//            prompt gets the same template, notes, entities and budget as
+//            a capture
+//   memory — the prompt asks for a ---MEMORY--- note and the reply is
+//            merged into the conversation memory
+//   reply  — "critique": the reply goes back to the source tab, introduced
+//            by the mode's critique line ({{target.name}} is the target)
+//            "stay":     the reply stays in the target tab, where the user
+//            carries on; the source tab is only told it is there
+
+var MODE_REGISTRY = {
+  factcheck: {
+    key:         "factcheck",
+    name:        "Fact-check",
+    description: "Fact-check the last answer",
+    memory:      true,
+    reply:       "critique",
+    critique:    "{{target.name}} fact-checked your last answer. Correct anything it found to be wrong or unsupported:",
+    task:        factCheckTask,
+  },
+  tests: {
+    key:         "tests",
+    name:        "Write tests",
+    description: "Write tests for the code in this thread",
+    memory:      true,
+    reply:       "stay",
+    task:        testsTask,
+  },
+  explain: {
+    key:         "explain",
+    name:        "Explain simply",
+    description: "Explain this thread to a beginner",
+    memory:      false,
+    reply:       "stay",
+    task:        explainTask,
+  },
+  continue: {
+    key:         "continue",
+    name:        "Continue",
+    description: "Continue from where this left off, no critique",
+    memory:      true,
+    reply:       "stay",
+    task:        continueTask,
+  },
+  redteam: {
+    key:         "redteam",
+    name:        "Red-team",
+    description: "Red-team the plan in this thread",
+    memory:      true,
+    reply:       "critique",
+    critique:    "{{target.name}} red-teamed this plan. Address the weaknesses it found, or explain why they do not apply:",
+    task:        redTeamTask,
+  },
+};
+
+// Returns [{ key, name, description }] for the mode picker.
+function getModeList() {
+  var list = [];
+  for (var key in MODE_REGISTRY) {
+    var mode = MODE_REGISTRY[key];
+    list.push({ key: key, name: mode.name, description: mode.description });
+  }
+  return list;
+}
+
+// ─── Instructions ─────────────────────────────────────────────────────────────
+//
+// Each takes the memory (possibly empty) and returns the {{task}} text.
+
+function factCheckTask() {
+  return "Fact-check the last Assistant answer in the transcript. Go through its claims one by one and say which are correct, which are wrong and which cannot be verified, with the correction or the reason. " +
+    "Check facts, numbers, names, API and library details, and any code it gives. Do not rewrite the answer; only report what is wrong and what it should say instead.";
+}
+
+function testsTask() {
+  return "Write tests for the code in the transcript, using the language and test framework it already uses (or the usual one for that language). " +
+    "Cover the normal cases, the edge cases and the error paths. If the code has a bug a test would catch, point it out. If the transcript has no code, say so and ask what I'd like tested.";
+}
+
+function explainTask() {
+  return "Explain what the conversation is about and where it ended up to someone new to the subject. " +
+    "Use plain language, define any jargon the first time it appears, and use a short example where it helps. Skip the history of how the conversation got there.";
+}
+
+function continueTask(memory) {
+  var task = (memory && memory.current_task && !isMetaInstruction(memory.current_task))
+    ? " We were working on: " + memory.current_task + "."
+    : "";
+  return "Pick up exactly where the conversation left off and carry on with the work." + task + " " +
+    "Do not review or critique what was said before; treat it as settled and keep going from the last message.";
+}
+
+function redTeamTask() {
+  return "Red-team the plan or solution the conversation arrives at. Look for how it could fail: wrong assumptions, missed edge cases, security and abuse risks, scaling and cost problems, and what happens when a dependency goes down. " +
+    "Rank what you find from most to least serious, and for each give a concrete way to prevent or mitigate it.";
+}
@@ -0,0 +1,143 @@
+// utils/projects.js — Project workspaces
+//
+// Loaded into the service worker via importScripts("utils/projects.js"),
+// after utils/memory.js, utils/settings.js and utils/links.js. background.js is the only
+// writer; the widget reads and changes projects through messages.
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs except chrome.storage.local.
+//
+// A conversation ID is tied to one site thread (getConversationId) or one
+// DuperMemory chain. A project groups several of them under one shared
+// memory, stored like any other memory with the project's ID as its
+// conversation_id. While a project is active, every capture is routed to
+// the project memory (resolveConversationId): the source thread is attached
+// to the project on its first capture and whatever its own memory already
+// held is merged in.
+//
+// Stored under "dm_projects" as { id → project }, with the active project's
+// ID under "dm_active_project":
+//   { id: "project_…", name, created_at, conversations: [conversationId, ...] }
+
+var PROJECTS_KEY       = "dm_projects";
+var ACTIVE_PROJECT_KEY = "dm_active_project";
+var PROJECT_PREFIX     = "project_";
+
+// Writes are chained, like history writes, so two captures attaching
+// threads at once never drop each other's change.
+var PROJECTS_QUEUE = Promise.resolve();
+
+// ─── Read / write ─────────────────────────────────────────────────────────────
+
+// Resolves to { projects: { id → project }, activeId }.
+function readProjects() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.get([PROJECTS_KEY, ACTIVE_PROJECT_KEY], function (result) {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.local.get failed:", chrome.runtime.lastError.message);
+        resolve({ projects: {}, activeId: null });
+        return;
+      }
+      var projects = result[PROJECTS_KEY] || {};
+      var activeId = result[ACTIVE_PROJECT_KEY] || null;
+      resolve({ projects: projects, activeId: projects[activeId] ? activeId : null });
+    });
+  });
+}
+
+// Runs mutate(state) on a fresh copy, in order with every other project
+// write, and stores state.projects and state.activeId. Resolves to mutate's
+// return value.
+function changeProjects(mutate) {
+  var result;
+  PROJECTS_QUEUE = PROJECTS_QUEUE.then(function () {
+    return readProjects().then(function (state) {
+      result = mutate(state);
+      var data = {};
+      data[PROJECTS_KEY]       = state.projects;
+      data[ACTIVE_PROJECT_KEY] = state.activeId;
+      return new Promise(function (resolve) {
+        chrome.storage.local.set(data, function () {
+          if (chrome.runtime.lastError) {
+            console.warn("[DuperMemory] storage.local.set failed:", chrome.runtime.lastError.message);
+          }
+          resolve();
+        });
+      });
+    });
+  }).then(function () {
+    return result;
+  });
+  return PROJECTS_QUEUE;
+}
+
+// ─── Projects ─────────────────────────────────────────────────────────────────
+
+// Creates a project, makes it the active one and seeds its memory's topic
+// with the name. Resolves to the project.
+function createProject(name) {
+  var project = {
+    id:            PROJECT_PREFIX + Date.now() + "_" + Math.random().toString(36).slice(2, 6),
+    name:          name,
+    created_at:    new Date().toISOString(),
+    conversations: [],
+  };
+  return changeProjects(function (state) {
+    state.projects[project.id] = project;
+    state.activeId = project.id;
+  }).then(function () {
+    return updateMemory(project.id, function (memory) {
+      if (memory.topic) return false;
+      memory.topic = name;
+    });
+  }).then(function () {
+    return project;
+  });
+}
+
+// projectId null switches back to per-thread memories.
+function setActiveProject(projectId) {
+  return changeProjects(function (state) {
+    state.activeId = (projectId && state.projects[projectId]) ? projectId : null;
+    return state.activeId;
+  });
+}
+
+// Adds conversationId to the project and merges its memory into the
+// project's. Resolves once both are stored.
+function attachConversation(projectId, conversationId) {
+  return changeProjects(function (state) {
+    var project = state.projects[projectId];
+    if (!project || project.conversations.indexOf(conversationId) !== -1) return false;
+    project.conversations.push(conversationId);
+    return true;
+  }).then(function (added) {
+    if (!added) return;
+    return Promise.all([readMemory(conversationId), readSettings()]).then(function (results) {
+      var own = results[0];
+      if (!memoryHasContent(own)) return;
+      return updateMemory(projectId, function (memory) {
+        mergeStoredMemory(memory, own, results[1]);
+      });
+    });
+  });
+}
+
+// ─── Routing ──────────────────────────────────────────────────────────────────
+
+// Resolves to the conversation ID a capture from conversationId should read
+// and merge into. Manual links (utils/links.js) are followed first; then,
+// with a project active, the result is attached to the project and the
+// project's ID is used instead. Project memories are never attached to
+// other projects.
+function resolveConversationId(conversationId) {
+  return Promise.all([readProjects(), resolveLinkedId(conversationId)]).then(function (results) {
+    var state = results[0];
+    conversationId = results[1];
+    var projectId = state.activeId;
+    if (!projectId) return conversationId;
+    if (!conversationId || conversationId.indexOf(PROJECT_PREFIX) === 0) return projectId;
+    return attachConversation(projectId, conversationId).then(function () {
+      return projectId;
+    });
+  });
+}
@@ -1,6 +1,8 @@
 // utils/replay-prompt.js — Replay Prompt Generator
 //
 // Loaded into the service worker via importScripts("utils/replay-prompt.js").
+// The wording is the replay template in utils/templates.js; long transcripts
+// are shortened by compressTranscript (utils/compress.js).
 // Must not use ES module syntax (no import/export).
 // Must not reference the DOM or any browser APIs.
 //
@@ -8,20 +10,25 @@
 // in a meta-prompt that asks the target AI to critically evaluate and replay
 // the conversation.
 
-function buildReplayPrompt(rawTranscript) {
-  return (
-    "I am transferring a conversation I just had with another AI assistant. " +
-    "I want your perspective and a second opinion.\n" +
-    "\n" +
-    "Please review the transcript below. I do not want just a summary. Instead, please:\n" +
-    "\n" +
-    "1. Identify the core problem or primary question I was trying to solve.\n" +
-    "2. Critically evaluate the previous AI's final solution or approach.\n" +
-    "3. Provide YOUR own direct response to my original queries. " +
-    "Explicitly point out where you agree, disagree, or can improve upon the previous AI's logic.\n" +
-    "\n" +
-    "--- TRANSCRIPT START ---\n" +
-    rawTranscript + "\n" +
-    "--- TRANSCRIPT END ---"
-  );
+// options (optional): template (utils/templates.js, DEFAULT_TEMPLATES.replay
+// if not given), targetName and vault for {{target.name}} and {{vault}}, and
+// budget / keepTurns / memory to compress the transcript so the prompt fits
+// budget characters (see compressTranscript).
+function buildReplayPrompt(rawTranscript, options) {
+  options = options || {};
+  var template = options.template || DEFAULT_TEMPLATES.replay;
+  var values = {
+    transcript:    rawTranscript,
+    vault:         (options.vault || "").trim(),
+    "target.name": options.targetName || "",
+  };
+  if (options.budget) {
+    values.transcript = "";
+    var room = options.budget - renderTemplate(template, values).length;
+    values.transcript = compressTranscript(rawTranscript, Math.max(room, 1), {
+      keepTurns: options.keepTurns,
+      memory:    options.memory,
+    });
+  }
+  return renderTemplate(template, values);
 }
@@ -0,0 +1,171 @@
+// utils/retention.js — Storage usage, retention and quota recovery
+//
+// Loaded into the service worker via importScripts("utils/retention.js") and
+// by popup.html, after utils/memory.js, utils/history.js and
+// utils/timeline.js.
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs except chrome.storage.local.
+//
+// chrome.storage.local is capped at QUOTA_BYTES (10 MB without the
+// unlimitedStorage permission). The popup shows usage against it and offers
+// to archive, then delete, memories past the retention settings
+// (utils/settings.js). Deleting is never automatic: the user downloads the
+// archive first and then confirms the delete.
+//
+// When a write fails because the quota is full, writeMemory calls
+// freeStorageSpace, which drops timeline snapshots (everything but the latest
+// per conversation) — they are copies, so nothing is lost — and all but the
+// newest HISTORY_QUOTA_KEEP transfer history entries, then retries once.
+// The history log has a single writer, the service worker
+// (utils/history.js), so a write from the popup asks the worker to free the
+// space with a FREE_STORAGE message instead of trimming the log itself.
+// isQuotaError is also used by writeHistory.
+
+var STORAGE_QUOTA_BYTES = chrome.storage.local.QUOTA_BYTES || 10485760;
+
+// Share of the quota at which the popup starts warning.
+var STORAGE_WARN_RATIO = 0.8;
+
+// ─── Usage ────────────────────────────────────────────────────────────────────
+
+// Resolves to { used, quota, ratio }.
+function getStorageUsage() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.getBytesInUse(null, function (used) {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.local.getBytesInUse failed:", chrome.runtime.lastError.message);
+        used = 0;
+      }
+      resolve({ used: used, quota: STORAGE_QUOTA_BYTES, ratio: used / STORAGE_QUOTA_BYTES });
+    });
+  });
+}
+
+function isQuotaError(message) {
+  return /quota/i.test(String(message || ""));
+}
+
+// ─── Retention ────────────────────────────────────────────────────────────────
+
+// True if the memory has any pinned item; such memories are never expired.
+function hasPinnedItems(memory) {
+  var lists = ["entities", "facts", "decisions", "open_questions", "constraints"];
+  for (var l = 0; l < lists.length; l++) {
+    var list = memory[lists[l]] || [];
+    for (var i = 0; i < list.length; i++) {
+      if (list[i] && list[i].pinned) return true;
+    }
+  }
+  return false;
+}
+
+// Picks the memories retention would delete from a full storage dump:
+// those untouched for more than max_age_days, then the least recently
+// updated beyond max_memories. Memories with pinned items are kept and do
+// not count against the cap. Returns the memories, oldest first.
+function findExpiredMemories(data, retention, now) {
+  var memories = [];
+  for (var key in data) {
+    if (isStoredMemory(key, data[key]) && !hasPinnedItems(data[key])) {
+      memories.push(data[key]);
+    }
+  }
+  memories.sort(function (a, b) {
+    return (a.updated_at || "").localeCompare(b.updated_at || "");
+  });
+
+  var expired = [];
+  var maxAge  = retention.max_age_days > 0 ? retention.max_age_days * 86400000 : 0;
+  var over    = retention.max_memories > 0 ? memories.length - retention.max_memories : 0;
+
+  for (var i = 0; i < memories.length; i++) {
+    var age = now - new Date(memories[i].updated_at || 0).getTime();
+    if (i < over || (maxAge && age > maxAge)) expired.push(memories[i]);
+  }
+  return expired;
+}
+
+// Removes the memories and their timelines. Resolves when done.
+function deleteMemories(conversationIds) {
+  var keys = [];
+  for (var i = 0; i < conversationIds.length; i++) {
+    keys.push(memoryKey(conversationIds[i]), timelineKey(conversationIds[i]));
+  }
+  return new Promise(function (resolve) {
+    chrome.storage.local.remove(keys, function () {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.local.remove failed:", chrome.runtime.lastError.message);
+      }
+      resolve();
+    });
+  });
+}
+
+// ─── Quota recovery ───────────────────────────────────────────────────────────
+
+// Trims every timeline to its latest snapshot and the history log to its
+// newest entries. Resolves to the number of snapshots and entries dropped;
+// rejects if storage could not be read or written. Outside the service
+// worker (importScripts only exists there) the worker does the trimming.
+function freeStorageSpace() {
+  if (typeof importScripts !== "function") return requestStorageSpace();
+  return trimTimelines().then(function (snapshots) {
+    return changeHistory(function (entries) {
+      var dropped = Math.max(entries.length - HISTORY_QUOTA_KEEP, 0);
+      if (dropped > 0) entries.length = HISTORY_QUOTA_KEEP;
+      return dropped;
+    }).then(function (entries) {
+      if (entries > 0) {
+        console.warn("[DuperMemory] Storage quota reached; dropped " + entries + " history entries.");
+      }
+      return snapshots + entries;
+    });
+  });
+}
+
+function requestStorageSpace() {
+  return new Promise(function (resolve, reject) {
+    chrome.runtime.sendMessage({ type: "FREE_STORAGE" }, function (response) {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response || response.error) {
+        reject(new Error((response && response.error) || "the background worker did not answer"));
+        return;
+      }
+      resolve(response.freed);
+    });
+  });
+}
+
+function trimTimelines() {
+  return new Promise(function (resolve, reject) {
+    chrome.storage.local.get(null, function (data) {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      var trimmed = {};
+      var dropped = 0;
+      for (var key in data) {
+        if (key.indexOf(TIMELINE_PREFIX) === 0 && data[key].length > 1) {
+          dropped += data[key].length - 1;
+          trimmed[key] = data[key].slice(-1);
+        }
+      }
+      if (dropped === 0) {
+        resolve(0);
+        return;
+      }
+      chrome.storage.local.set(trimmed, function () {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        console.warn("[DuperMemory] Storage quota reached; dropped " + dropped + " timeline snapshots.");
+        resolve(dropped);
+      });
+    });
+  });
+}
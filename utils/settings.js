@@ -0,0 +1,101 @@
+// utils/settings.js — User settings
+//
+// Loaded into the service worker via importScripts("utils/settings.js"),
+// by popup.html and by options.html, which edit the settings. Load after
+// utils/memory.js (defaults come from EVICTION_DEFAULTS).
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs except chrome.storage.local.
+//
+// Stored under "dm_settings". Anything missing from the stored object falls
+// back to DEFAULT_SETTINGS, so new settings need no migration.
+//
+//   retention.max_age_days  — memories untouched for this many days are
+//                             offered for archive-and-delete (0 = never)
+//   retention.max_memories  — keep at most this many conversation memories,
+//                             least recently updated go first (0 = no cap)
+//   limits.<list>           — max items kept per memory list (entities,
+//                             facts, decisions, ...), read by evict
+//   eviction.<list>         — "oldest" | "lru" | "priority", see evict
+//                             in utils/memory.js
+//   knowledge.inject_entities — add what other conversations know about
+//                             entities a transcript mentions to captures
+//                             (utils/entities.js)
+//   compression.keep_turns  — latest turns always kept verbatim when a
+//                             transcript is compressed; more are kept while
+//                             they fit (utils/compress.js)
+//   compression.budgets     — { model key → characters }, overrides the
+//                             model's contextBudget
+//   templates.<kind>        — edited capture / replay / critique templates,
+//                             { "default" | model key → text }; see
+//                             utils/templates.js
+
+var SETTINGS_KEY = "dm_settings";
+
+var DEFAULT_SETTINGS = {
+  retention: {
+    max_age_days: 0,
+    max_memories: 0,
+  },
+  limits:   {},
+  eviction: {},
+  knowledge: {
+    inject_entities: false,
+  },
+  compression: {
+    keep_turns: 6,
+    budgets:    {},
+  },
+  templates: {
+    capture:  {},
+    replay:   {},
+    critique: {},
+  },
+};
+
+for (var settingsList in EVICTION_DEFAULTS) {
+  DEFAULT_SETTINGS.limits[settingsList]   = EVICTION_DEFAULTS[settingsList].limit;
+  DEFAULT_SETTINGS.eviction[settingsList] = EVICTION_DEFAULTS[settingsList].policy;
+}
+
+// Returns a copy of DEFAULT_SETTINGS with stored values laid over it, one
+// level deep (each group is merged key by key).
+function applySettingDefaults(stored) {
+  var settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  stored = stored || {};
+  for (var group in settings) {
+    var values = stored[group] || {};
+    for (var key in settings[group]) {
+      if (values[key] !== undefined) settings[group][key] = values[key];
+    }
+  }
+  return settings;
+}
+
+// Returns a Promise that resolves to the settings with defaults applied.
+function readSettings() {
+  return new Promise(function (resolve) {
+    chrome.storage.local.get(SETTINGS_KEY, function (result) {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.local.get failed:", chrome.runtime.lastError.message);
+        resolve(applySettingDefaults(null));
+        return;
+      }
+      resolve(applySettingDefaults(result[SETTINGS_KEY]));
+    });
+  });
+}
+
+// Resolves once stored; rejects if the write failed.
+function writeSettings(settings) {
+  var data = {};
+  data[SETTINGS_KEY] = applySettingDefaults(settings);
+  return new Promise(function (resolve, reject) {
+    chrome.storage.local.set(data, function () {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
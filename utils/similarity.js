@@ -0,0 +1,200 @@
+// utils/similarity.js — Local near-duplicate detection for memory items
+//
+// Loaded into the service worker via importScripts("utils/similarity.js"),
+// and by popup.html, before utils/memory.js (which uses isNearDuplicate).
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs. Zero dependencies.
+//
+// Paraphrased notes from different models ("Use Postgres for storage" vs
+// "We'll store data in PostgreSQL") should count as the same decision.
+// Each text is reduced to a set of normalized tokens:
+//   lowercase → split on non-word characters and apostrophes → expand
+//   aliases → drop stopwords → light suffix stemming
+// so "we'll" gives "we" + "ll", both stopwords; "n't" is kept on its word
+// ("don't" → "dont") so negations still read as one token.
+// and two texts are compared by the Jaccard index of their token sets.
+// Texts where only one side is negated ("use Redis" / "do not use Redis")
+// never match, however many tokens they share.
+//
+// findContradiction uses the same tokens to spot notes that likely reverse
+// each other: the same statement with opposite polarity, or the same
+// statement naming a different option from one group of alternatives
+// ("use REST" / "use GraphQL").
+
+var SIMILARITY_THRESHOLD = 0.6;
+
+// Common spellings of the same thing, mapped to one canonical token.
+var SIMILARITY_ALIASES = {
+  postgresql: "postgres",
+  pg:         "postgres",
+  mongo:      "mongodb",
+  js:         "javascript",
+  ts:         "typescript",
+  py:         "python",
+  k8s:        "kubernetes",
+  db:         "database",
+  dbs:        "database",
+  repo:       "repository",
+  config:     "configuration",
+  auth:       "authentication",
+  app:        "application",
+  apps:       "application",
+  amazon:     "aws",
+};
+
+var SIMILARITY_STOPWORDS = [
+  "a", "an", "the", "and", "or", "but", "if", "then", "so", "as", "of", "to",
+  "in", "on", "at", "by", "for", "from", "with", "into", "about", "via",
+  "is", "are", "was", "were", "be", "been", "being", "it", "its", "this",
+  "that", "these", "those", "there", "here", "we", "us", "our", "you", "your",
+  "i", "me", "my", "they", "them", "their", "will", "ll", "shall", "should",
+  "would", "can", "could", "may", "might", "must", "do", "does", "did",
+  "have", "has", "had", "s", "d", "re", "ve", "m", "use", "uses", "used",
+  "using", "go", "going", "decide", "decided", "let", "lets", "all", "any",
+  "some", "also", "just", "data", "want", "wants", "wanted", "need", "needs",
+  "trying",
+];
+
+var SIMILARITY_NEGATIONS = [
+  "not", "no", "never", "dont", "don", "doesnt", "doesn", "didnt", "didn",
+  "wont", "won", "shouldnt", "shouldn", "cant", "cannot", "avoid", "without",
+];
+
+// Longest suffixes first; the stem must keep at least three characters.
+var SIMILARITY_SUFFIXES = [
+  ["ational", "ate"], ["ization", "ize"], ["ations", ""], ["ation", ""],
+  ["ments", ""], ["ment", ""], ["ings", ""], ["ing", ""], ["ages", ""],
+  ["age", ""], ["ies", "y"], ["ed", ""], ["es", ""], ["ly", ""], ["er", ""],
+  ["s", ""],
+];
+
+// Mutually exclusive choices. Picking a different member of a group in an
+// otherwise similar statement is reported as a contradiction.
+var SIMILARITY_ALTERNATIVES = [
+  ["REST", "GraphQL", "gRPC"],
+  ["Postgres", "MySQL", "MongoDB", "SQLite", "DynamoDB"],
+  ["React", "Vue", "Angular", "Svelte"],
+  ["npm", "Yarn", "pnpm"],
+  ["AWS", "GCP", "Azure"],
+  ["JavaScript", "TypeScript"],
+  ["tabs", "spaces"],
+  ["monolith", "microservices"],
+  ["SQL", "NoSQL"],
+  ["sync", "async"],
+];
+
+// Share of the remaining tokens two statements must have in common for
+// them to be about the same thing.
+var CONTRADICTION_CONTEXT_THRESHOLD = 0.5;
+
+// ─── Tokens ───────────────────────────────────────────────────────────────────
+
+function stemToken(word) {
+  for (var i = 0; i < SIMILARITY_SUFFIXES.length; i++) {
+    var suffix = SIMILARITY_SUFFIXES[i][0];
+    if (word.length - suffix.length >= 3 && word.slice(-suffix.length) === suffix) {
+      word = word.slice(0, -suffix.length) + SIMILARITY_SUFFIXES[i][1];
+      break;
+    }
+  }
+  if (word.length > 3 && word.charAt(word.length - 1) === "e") {
+    word = word.slice(0, -1);
+  }
+  return word;
+}
+
+// Lowercased words of text, split as described above (before aliases).
+function splitWords(text) {
+  return String(text || "").toLowerCase().replace(/n['’]t\b/g, "nt").split(/[^a-z0-9+#]+/);
+}
+
+// Returns { tokens: { stem → true }, size, negated }.
+function normalizeTokens(text) {
+  var words = splitWords(text);
+  var tokens = {};
+  var size = 0;
+  var negated = false;
+
+  for (var i = 0; i < words.length; i++) {
+    var word = words[i];
+    if (!word) continue;
+    if (SIMILARITY_NEGATIONS.indexOf(word) !== -1) {
+      negated = true;
+      continue;
+    }
+    word = SIMILARITY_ALIASES[word] || word;
+    if (SIMILARITY_STOPWORDS.indexOf(word) !== -1) continue;
+    var stem = stemToken(word);
+    if (!tokens[stem]) {
+      tokens[stem] = true;
+      size++;
+    }
+  }
+  return { tokens: tokens, size: size, negated: negated };
+}
+
+// ─── Comparison ───────────────────────────────────────────────────────────────
+
+// Jaccard index of two token maps, ignoring tokens in skip.
+function tokenJaccard(left, right, skip) {
+  var shared = 0, total = 0, token;
+  for (token in left) {
+    if (skip && skip[token]) continue;
+    total++;
+    if (right[token]) shared++;
+  }
+  for (token in right) {
+    if (skip && skip[token]) continue;
+    if (!left[token]) total++;
+  }
+  return total === 0 ? 1 : shared / total;
+}
+
+// Jaccard index of the two texts' token sets, 0 when the negation differs
+// or either side has no meaningful tokens.
+function textSimilarity(a, b) {
+  var left  = normalizeTokens(a);
+  var right = normalizeTokens(b);
+  if (left.negated !== right.negated) return 0;
+  if (left.size === 0 || right.size === 0) return 0;
+  return tokenJaccard(left.tokens, right.tokens);
+}
+
+// Similar wording that picks a different option ("use GraphQL for the API
+// layer" / "use REST for the API layer") is a contradiction, not a paraphrase.
+function isNearDuplicate(a, b) {
+  return textSimilarity(a, b) >= SIMILARITY_THRESHOLD && !findContradiction(a, b);
+}
+
+// ─── Contradictions ───────────────────────────────────────────────────────────
+
+// Returns a short reason if a and b likely contradict each other, else "".
+function findContradiction(a, b) {
+  var left  = normalizeTokens(a);
+  var right = normalizeTokens(b);
+  if (left.size === 0 || right.size === 0) return "";
+
+  if (left.negated !== right.negated &&
+      tokenJaccard(left.tokens, right.tokens) >= SIMILARITY_THRESHOLD) {
+    return "one reverses the other";
+  }
+
+  for (var g = 0; g < SIMILARITY_ALTERNATIVES.length; g++) {
+    var group = SIMILARITY_ALTERNATIVES[g];
+    var stems = {};
+    var leftPick = [], rightPick = [];
+    for (var m = 0; m < group.length; m++) {
+      var stem = stemToken(SIMILARITY_ALIASES[group[m].toLowerCase()] || group[m].toLowerCase());
+      stems[stem] = true;
+      if (left.tokens[stem])  leftPick.push(group[m]);
+      if (right.tokens[stem]) rightPick.push(group[m]);
+    }
+    // Each side must name exactly one option, and a different one.
+    if (leftPick.length !== 1 || rightPick.length !== 1 || leftPick[0] === rightPick[0]) continue;
+    if (left.negated !== right.negated) continue; // "use REST" vs "don't use GraphQL" agree
+    if (tokenJaccard(left.tokens, right.tokens, stems) >= CONTRADICTION_CONTEXT_THRESHOLD) {
+      return leftPick[0] + " vs " + rightPick[0];
+    }
+  }
+  return "";
+}
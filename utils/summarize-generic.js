@@ -10,6 +10,7 @@
 //   - delay(): simple promise-based sleep
 //   - parseTargetResponse(): splits target AI response into reply + memory update
 //   - parseMemoryBlock(): parses labeled plain-text memory blocks
+//   - notifyTargetSubmitted() / notifyTargetFailed(): target-side job progress
 
 // ─── Parse summary ────────────────────────────────────────────────────────────
 
@@ -34,6 +35,7 @@ function parseSummary(rawText) {
       current_task:    String(obj.current_task     || ""),
       entities:        Array.isArray(obj.entities) ? obj.entities.filter(function (e) { return e && e.name; }) : [],
       open_questions:  Array.isArray(obj.open_questions) ? obj.open_questions.map(String) : [],
+      resolved_questions: Array.isArray(obj.resolved_questions) ? parseResolvedList(obj.resolved_questions) : [],
       constraints:     Array.isArray(obj.constraints) ? obj.constraints.map(String) : [],
     };
   } catch (e) {
@@ -49,6 +51,7 @@ function parseSummary(rawText) {
       current_task:    rawText,
       entities:        [],
       open_questions:  [],
+      resolved_questions: [],
       constraints:     [],
     };
   }
@@ -60,6 +63,24 @@ function delay(ms) {
   return new Promise(function (resolve) { setTimeout(resolve, ms); });
 }
 
+// ─── Target job progress ──────────────────────────────────────────────────────
+//
+// Called by each content script's target flow so background.js can move the
+// transfer job from "injected" to "waiting", or fail it right away instead of
+// letting the source tab sit until the job times out.
+
+function notifyTargetSubmitted() {
+  chrome.runtime.sendMessage({ type: "TARGET_SUBMITTED" }, function () {
+    if (chrome.runtime.lastError) { /* background will time the job out */ }
+  });
+}
+
+function notifyTargetFailed(reason) {
+  chrome.runtime.sendMessage({ type: "TARGET_FAILED", error: reason || "" }, function () {
+    if (chrome.runtime.lastError) { /* background will time the job out */ }
+  });
+}
+
 // ─── Parse target response ───────────────────────────────────────────────────
 //
 // Splits a target AI's full response into a conversational reply and an
@@ -99,7 +120,8 @@ function parseTargetResponse(fullText) {
   if (blockStr.charAt(0) === "{") {
     var jsonParsed = parseSummary(blockStr);
     var hasData = jsonParsed.topic || jsonParsed.user_goal || jsonParsed.current_task ||
-                  jsonParsed.entities.length > 0 || jsonParsed.decisions_made.length > 0;
+                  jsonParsed.entities.length > 0 || jsonParsed.decisions_made.length > 0 ||
+                  jsonParsed.resolved_questions.length > 0;
     return { reply: reply, memoryUpdate: hasData ? jsonParsed : null };
   }
 
@@ -118,6 +140,7 @@ function parseTargetResponse(fullText) {
 //   Task: Implement the parser
 //   Entities: DuperMemory/tool/Chrome extension for cross-AI memory; chrome.storage.local/technology/KV store
 //   Open: question one; question two
+//   Resolved: question three => its answer; question four => its answer
 //   Constraints: no backend; no API keys
 //
 // Returns an object matching the summary schema that mergeMemory() expects,
@@ -152,6 +175,7 @@ function parseMemoryBlock(blockStr) {
   var factsRaw    = fields["facts"]       || fields["important facts"] || fields["important_facts"] || "";
   var decsRaw     = fields["decisions"]   || fields["decisions made"]  || fields["decisions_made"]  || "";
   var openRaw     = fields["open"]        || fields["open questions"]  || fields["open_questions"]  || "";
+  var resolvedRaw = fields["resolved"]    || fields["resolved questions"] || fields["resolved_questions"] || "";
   var consRaw     = fields["constraints"] || "";
   var entsRaw     = fields["entities"]    || "";
 
@@ -159,6 +183,7 @@ function parseMemoryBlock(blockStr) {
   var facts       = splitSemicolons(factsRaw);
   var decisions   = splitSemicolons(decsRaw);
   var openQs      = splitSemicolons(openRaw);
+  var resolved    = parseResolvedList(splitSemicolons(resolvedRaw));
   var constraints = splitSemicolons(consRaw);
 
   // Parse entities: each entry is name/type/summary.
@@ -171,7 +196,8 @@ function parseMemoryBlock(blockStr) {
 
   // Check if we got any meaningful data.
   if (!topic && !userGoal && !currentTask &&
-      facts.length === 0 && decisions.length === 0 && entities.length === 0) {
+      facts.length === 0 && decisions.length === 0 && entities.length === 0 &&
+      resolved.length === 0) {
     return null;
   }
 
@@ -183,6 +209,7 @@ function parseMemoryBlock(blockStr) {
     current_task:    currentTask,
     entities:        entities,
     open_questions:  openQs,
+    resolved_questions: resolved,
     constraints:     constraints,
   };
 }
@@ -198,9 +225,11 @@ function parseMemoryBlock(blockStr) {
 // transcript from inside the meta-prompt and return it so the caller can
 // splice it inline — producing a single flat timeline across all hops.
 //
-// Two injection patterns are recognized:
+// Three injection patterns are recognized:
 //   1. Replay:  "I am transferring..." + --- TRANSCRIPT START --- ... --- TRANSCRIPT END ---
 //   2. Capture: "Hey — I'm picking up..." + --- transcript --- ... --- end transcript ---
+//   3. Judge:   "Hey — I asked several AI assistants..." + --- transcript --- ... followed
+//               by --- answers --- ... --- end answers ---
 //
 // flattenMetaPrompt(content) returns:
 //   { flattened: true,  history: "User: ...\n\nAssistant: ...", userExtra: "..." }
@@ -213,25 +242,31 @@ function parseMemoryBlock(blockStr) {
 // Boilerplate signatures we look for
 var DUPERMEM_BOILERPLATE_SIGNATURES = [
   "I am transferring a conversation I just had with another AI assistant",
+  "I asked several AI assistants for a second opinion on a conversation",
   "I\u2019m picking up a conversation that was happening on another AI",
   "Hey \u2014 I\u2019m picking up a conversation",
   "Hey — I'm picking up a conversation",
 ];
 
+// True if content is one of our injected prompts. The opening sentence is
+// editable (utils/templates.js), so a prompt is also recognized by its
+// structure: the replay delimiters, or the capture/judge delimiters together
+// with the ---MEMORY--- note instruction every capture template carries.
+function isInjectedPrompt(content) {
+  for (var i = 0; i < DUPERMEM_BOILERPLATE_SIGNATURES.length; i++) {
+    if (content.indexOf(DUPERMEM_BOILERPLATE_SIGNATURES[i]) !== -1) return true;
+  }
+  if (/---\s*TRANSCRIPT START\s*---[\s\S]*---\s*TRANSCRIPT END\s*---/.test(content)) return true;
+  return /---\s*transcript\s*---[\s\S]*---\s*end transcript\s*---/i.test(content) &&
+    content.indexOf(MEMORY_START_MARKER) !== -1 && content.indexOf(MEMORY_END_MARKER) !== -1;
+}
+
 function flattenMetaPrompt(content) {
   if (!content || typeof content !== "string") {
     return { flattened: false, content: content || "" };
   }
 
-  // Quick check: does this contain any DuperMemory boilerplate?
-  var hasBoilerplate = false;
-  for (var i = 0; i < DUPERMEM_BOILERPLATE_SIGNATURES.length; i++) {
-    if (content.indexOf(DUPERMEM_BOILERPLATE_SIGNATURES[i]) !== -1) {
-      hasBoilerplate = true;
-      break;
-    }
-  }
-  if (!hasBoilerplate) {
+  if (!isInjectedPrompt(content)) {
     return { flattened: false, content: content };
   }
 
@@ -284,6 +319,11 @@ function flattenMetaPrompt(content) {
     /---\s*notes from prior sessions\s*---[\s\S]*?---\s*end notes\s*---/g, ""
   );
 
+  // Remove entities-known-from-other-conversations blocks
+  history = history.replace(
+    /---\s*known from other conversations\s*---[\s\S]*?---\s*end known\s*---/g, ""
+  );
+
   // Remove any "Respond naturally" / "Please continue helping" instruction lines
   history = history.replace(
     /^(?:Respond naturally|Please continue helping)[\s\S]*$/m, ""
@@ -313,6 +353,12 @@ function flattenMetaPrompt(content) {
   if (endMatch) {
     var afterEnd = content.slice(endMatch.index + endMatch[0].length).trim();
     // Strip any trailing boilerplate instructions
+    afterEnd = afterEnd.replace(
+      /---\s*answers\s*---[\s\S]*?---\s*end answers\s*---/g, ""
+    );
+    afterEnd = afterEnd.replace(
+      /Compare the answers above\.[\s\S]*?(?=At the end of your reply|$)/g, ""
+    );
     afterEnd = afterEnd.replace(
       /At the end of your reply[\s\S]*?---\s*END MEMORY\s*---/g, ""
     );
@@ -369,27 +415,11 @@ function sanitizeMetaPrompt(content) {
 // recursive boilerplate never reaches the target AI.
 
 function flattenInjectedContext(messages) {
-  // Massive chat safeguard: if more than 20 messages and total content
-  // is likely to exceed 80k chars, keep only first 10 + last 10 messages.
-  var msgs = messages;
-  if (msgs.length > 20) {
-    var totalChars = 0;
-    for (var c = 0; c < msgs.length; c++) {
-      totalChars += (msgs[c].content || "").length;
-    }
-    if (totalChars > 80000) {
-      var head = msgs.slice(0, 10);
-      var tail = msgs.slice(msgs.length - 10);
-      msgs = head.concat(
-        [{ role: "assistant", content: "[... " + (msgs.length - 20) + " messages truncated for length ...]" }],
-        tail
-      );
-    }
-  }
-
+  // Long threads are passed through whole; each target's prompt builder
+  // compresses them to its own budget (compressTranscript).
   var lines = [];
-  for (var i = 0; i < msgs.length; i++) {
-    var msg = msgs[i];
+  for (var i = 0; i < messages.length; i++) {
+    var msg = messages[i];
     var label = msg.role === "user" ? "User" : "Assistant";
 
     var result = flattenMetaPrompt(msg.content);
@@ -418,6 +448,27 @@ function splitSemicolons(str) {
     .filter(function (s) { return s.length > 0; });
 }
 
+// Turns "question => answer" strings (or { question, answer } objects from
+// JSON replies) into [{ question, answer }]. The answer is optional.
+function parseResolvedList(entries) {
+  var out = [];
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    var question, answer;
+    if (entry && typeof entry === "object") {
+      question = String(entry.question || "");
+      answer   = String(entry.answer   || "");
+    } else {
+      var parts = String(entry || "").split(/\s*(?:=>|->|\u2192)\s*/);
+      question = parts[0];
+      answer   = parts.slice(1).join(" => ");
+    }
+    question = question.trim();
+    if (question) out.push({ question: question, answer: answer.trim() });
+  }
+  return out;
+}
+
 function parseEntityEntry(entry) {
   // Expected format: name/type/summary
   // Split on the first two slashes only — the summary may contain slashes.
@@ -0,0 +1,191 @@
+// utils/templates.js — Prompt templates
+//
+// Loaded into the service worker via importScripts("utils/templates.js") and
+// by options.html, which edits the templates. Rendering the capture template
+// uses utils/format.js (notes sections) at call time; validation does not.
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs.
+//
+// Three prompts are templates: the capture prompt
+// (formatContextBlockFromTranscript), the replay prompt (buildReplayPrompt)
+// and the critique sent back to the source tab (sendCritiqueToTab).
+// {{name}} placeholders are filled in at send time; the ones each template
+// may use are listed in TEMPLATE_PLACEHOLDERS.
+//
+// Edited templates live in settings.templates.<kind>, keyed by model key for
+// a per-target override or by "default" for every target. Anything not
+// edited uses DEFAULT_TEMPLATES, which reproduce the built-in wording.
+// Without {{vault}}, the vault is prepended as before.
+
+var TEMPLATE_KINDS = ["capture", "replay", "critique"];
+
+var DEFAULT_TEMPLATES = {
+  capture: [
+    "Hey \u2014 I'm picking up a conversation that was happening on another AI. Here's the transcript from that session:{{notes}}{{known}}",
+    "",
+    "--- transcript ---",
+    "{{transcript}}",
+    "--- end transcript ---",
+    "",
+    "The transcript above is the raw conversation from the other AI. Use it as context.",
+    "",
+    "{{task}}",
+    "",
+    "{{memory_instruction}}",
+  ].join("\n"),
+
+  replay: [
+    "I am transferring a conversation I just had with another AI assistant. I want your perspective and a second opinion.",
+    "",
+    "Please review the transcript below. I do not want just a summary. Instead, please:",
+    "",
+    "1. Identify the core problem or primary question I was trying to solve.",
+    "2. Critically evaluate the previous AI's final solution or approach.",
+    "3. Provide YOUR own direct response to my original queries. Explicitly point out where you agree, disagree, or can improve upon the previous AI's logic.",
+    "",
+    "--- TRANSCRIPT START ---",
+    "{{transcript}}",
+    "--- TRANSCRIPT END ---",
+  ].join("\n"),
+
+  critique: "{{target.name}} reviewed your answer. Revise your response considering this critique:\n\n{{reply}}",
+};
+
+var MEMORY_PLACEHOLDERS = [
+  "memory.topic", "memory.user_goal", "memory.current_task", "memory.entities", "memory.facts",
+  "memory.decisions", "memory.open_questions", "memory.resolved_questions", "memory.constraints",
+];
+
+// Placeholders each kind may use, and the ones it must keep.
+var TEMPLATE_PLACEHOLDERS = {
+  capture: {
+    allowed:  ["transcript", "notes", "known", "task", "memory_instruction", "vault", "target.name"].concat(MEMORY_PLACEHOLDERS),
+    required: ["transcript"],
+  },
+  replay: {
+    allowed:  ["transcript", "vault", "target.name"],
+    required: ["transcript"],
+  },
+  critique: {
+    allowed:  ["reply", "target.name"],
+    required: ["reply"],
+  },
+};
+
+var PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// ─── Lookup ───────────────────────────────────────────────────────────────────
+
+// The template for kind when sending to modelKey: its override, else the
+// edited default, else the built-in one. An edited template saved before a
+// validation rule existed, and now failing it, is skipped.
+function getTemplate(kind, modelKey, settings) {
+  var edited = (settings && settings.templates && settings.templates[kind]) || {};
+  var candidates = [edited[modelKey], edited["default"]];
+  for (var i = 0; i < candidates.length; i++) {
+    if (candidates[i] && validateTemplate(kind, candidates[i]).length === 0) return candidates[i];
+  }
+  return DEFAULT_TEMPLATES[kind];
+}
+
+function templateUses(template, name) {
+  return placeholdersOf(template).indexOf(name) !== -1;
+}
+
+function placeholdersOf(template) {
+  var names = [];
+  var match;
+  PLACEHOLDER_PATTERN.lastIndex = 0;
+  while ((match = PLACEHOLDER_PATTERN.exec(template)) !== null) {
+    if (names.indexOf(match[1]) === -1) names.push(match[1]);
+  }
+  return names;
+}
+
+// ─── Render / validate ────────────────────────────────────────────────────────
+
+// values: { placeholder name → string }. Unknown placeholders become "".
+function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, function (whole, name) {
+    var value = values[name];
+    return value === undefined || value === null ? "" : String(value);
+  });
+}
+
+// Returns a list of problems with template as a kind template; empty if it
+// can be saved.
+function validateTemplate(kind, template) {
+  var spec = TEMPLATE_PLACEHOLDERS[kind];
+  var errors = [];
+  if (!spec) return ["Unknown template \"" + kind + "\""];
+  if (!String(template || "").trim()) return ["The template is empty"];
+
+  var used = placeholdersOf(template);
+  for (var i = 0; i < used.length; i++) {
+    if (spec.allowed.indexOf(used[i]) === -1) errors.push("Unknown placeholder {{" + used[i] + "}}");
+  }
+  for (var r = 0; r < spec.required.length; r++) {
+    if (used.indexOf(spec.required[r]) === -1) errors.push("{{" + spec.required[r] + "}} is missing");
+  }
+  // The transcript is compressed to fit the budget once; a second copy
+  // would overflow it.
+  if (placeholderCount(template, "transcript") > 1) {
+    errors.push("{{transcript}} may only appear once");
+  }
+  // The reply's memory note is how memory is kept up to date, and only
+  // {{memory_instruction}} spells out the format parseTargetResponse reads.
+  if (kind === "capture" && used.indexOf("memory_instruction") === -1) {
+    errors.push("{{memory_instruction}} is missing; the reply would carry no ---MEMORY--- note");
+  }
+  // {{task}} carries the continue-the-work line, and with a mode (fact
+  // check, tests, ...) the whole mode instruction.
+  if (kind === "capture" && used.indexOf("task") === -1) {
+    errors.push("{{task}} is missing; modes would send no instruction");
+  }
+  return errors;
+}
+
+function placeholderCount(template, name) {
+  var count = 0;
+  var match;
+  PLACEHOLDER_PATTERN.lastIndex = 0;
+  while ((match = PLACEHOLDER_PATTERN.exec(template)) !== null) {
+    if (match[1] === name) count++;
+  }
+  return count;
+}
+
+// ─── Values ───────────────────────────────────────────────────────────────────
+
+// Fills values with the memory.* placeholders: scalars as they are, lists
+// as "- item" lines.
+function addMemoryValues(values, memory) {
+  memory = memory || {};
+  values["memory.topic"]        = memory.topic || "";
+  values["memory.user_goal"]    = memory.user_goal || "";
+  values["memory.current_task"] = isMetaInstruction(memory.current_task || "") ? "" : (memory.current_task || "");
+
+  values["memory.entities"] = bulletList(memory.entities, function (e) {
+    return e.name + " (" + e.type + ")" + (e.summary ? ": " + e.summary : "");
+  });
+  values["memory.resolved_questions"] = bulletList(memory.resolved_questions, function (q) {
+    return q.text + (q.answer ? " => " + q.answer : "");
+  });
+  var lists = ["facts", "decisions", "open_questions", "constraints"];
+  for (var i = 0; i < lists.length; i++) {
+    values["memory." + lists[i]] = bulletList(memory[lists[i]], function (item) {
+      var text = item.text || item;
+      return lists[i] === "constraints" && isMetaInstruction(text) ? "" : text;
+    });
+  }
+  return values;
+}
+
+function bulletList(items, describe) {
+  var lines = [];
+  for (var i = 0; i < (items || []).length; i++) {
+    var text = describe(items[i]);
+    if (text) lines.push("- " + text);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,166 @@
+// utils/timeline.js — Per-hop memory snapshots and rollback
+//
+// Loaded into the service worker via importScripts("utils/timeline.js"),
+// after utils/memory.js (rollback goes through updateMemory). Also loaded by
+// popup.html to read and diff snapshots (writes go through background.js
+// messages so there is a single writer).
+// Must not use ES module syntax (no import/export).
+// Must not reference the DOM or any browser APIs except chrome.storage.local.
+//
+// writeMemory overwrites the single dupermemory_<id> object, so one bad
+// memory note would otherwise pollute a conversation for good. After every
+// merge, background.js stores a copy of the merged memory here; the popup
+// diffs consecutive snapshots into a timeline and can roll the memory back
+// to any of them.
+//
+// Stored under "dm_timeline_<conversationId>" (not the dupermemory_ prefix,
+// which is reserved for memories) as an array, oldest first:
+//   { hop, taken_at, kind: "merge" | "rollback", model, reply_id, memory }
+
+var TIMELINE_PREFIX = "dm_timeline_";
+var TIMELINE_LIMIT  = 10;
+
+// Snapshot writes are chained, like history writes, so two replies merged
+// back to back never read a stale copy of the timeline.
+var TIMELINE_QUEUE = Promise.resolve();
+
+// Lists diffed by item identity: entities by name, the rest by text.
+var TIMELINE_LISTS = [
+  { field: "entities",           label: "entity",     key: "name" },
+  { field: "facts",              label: "fact",       key: "text" },
+  { field: "decisions",          label: "decision",   key: "text" },
+  { field: "open_questions",     label: "question",   key: "text" },
+  { field: "resolved_questions", label: "resolved",   key: "text" },
+  { field: "constraints",        label: "constraint", key: "text" },
+];
+var TIMELINE_FIELDS = ["topic", "user_goal", "current_task"];
+
+function timelineKey(conversationId) {
+  return TIMELINE_PREFIX + conversationId;
+}
+
+// ─── Read / write ─────────────────────────────────────────────────────────────
+
+// Returns a Promise that resolves to the snapshot array (oldest first).
+function readTimeline(conversationId) {
+  var key = timelineKey(conversationId);
+  return new Promise(function (resolve) {
+    chrome.storage.local.get(key, function (result) {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.local.get failed:", chrome.runtime.lastError.message);
+        resolve([]);
+        return;
+      }
+      resolve(result[key] || []);
+    });
+  });
+}
+
+function writeTimeline(conversationId, snapshots) {
+  var data = {};
+  data[timelineKey(conversationId)] = snapshots;
+  return new Promise(function (resolve) {
+    chrome.storage.local.set(data, function () {
+      if (chrome.runtime.lastError) {
+        console.warn("[DuperMemory] storage.local.set failed:", chrome.runtime.lastError.message);
+      }
+      resolve();
+    });
+  });
+}
+
+// Appends a snapshot of memory, keeping the newest TIMELINE_LIMIT.
+// meta: { kind, model, replyId } (all optional).
+function recordSnapshot(memory, meta) {
+  meta = meta || {};
+  var copy = JSON.parse(JSON.stringify(memory));
+  TIMELINE_QUEUE = TIMELINE_QUEUE.then(function () {
+    return readTimeline(copy.conversation_id);
+  }).then(function (snapshots) {
+    snapshots.push({
+      hop:      copy.iteration_count,
+      taken_at: new Date().toISOString(),
+      kind:     meta.kind || "merge",
+      model:    meta.model || "",
+      reply_id: meta.replyId || "",
+      memory:   copy,
+    });
+    if (snapshots.length > TIMELINE_LIMIT) {
+      snapshots = snapshots.slice(snapshots.length - TIMELINE_LIMIT);
+    }
+    return writeTimeline(copy.conversation_id, snapshots);
+  });
+  return TIMELINE_QUEUE;
+}
+
+// ─── Diff ─────────────────────────────────────────────────────────────────────
+
+// Describes what changed from before to after (before may be null for the
+// first snapshot). Returns [{ type: "added"|"removed"|"changed", label, text }].
+function diffSnapshots(before, after) {
+  var changes = [];
+  var prev = before || {};
+
+  for (var f = 0; f < TIMELINE_FIELDS.length; f++) {
+    var field = TIMELINE_FIELDS[f];
+    if ((prev[field] || "") !== (after[field] || "") && after[field]) {
+      changes.push({
+        type:  prev[field] ? "changed" : "added",
+        label: field.replace("_", " "),
+        text:  prev[field] ? prev[field] + " → " + after[field] : after[field],
+      });
+    }
+  }
+
+  for (var l = 0; l < TIMELINE_LISTS.length; l++) {
+    var spec = TIMELINE_LISTS[l];
+    var oldKeys = listKeys(prev[spec.field], spec.key);
+    var newKeys = listKeys(after[spec.field], spec.key);
+    var k;
+    for (k in newKeys) {
+      if (!oldKeys[k]) changes.push({ type: "added", label: spec.label, text: k });
+    }
+    for (k in oldKeys) {
+      if (!newKeys[k]) changes.push({ type: "removed", label: spec.label, text: k });
+    }
+  }
+  return changes;
+}
+
+function listKeys(list, key) {
+  var keys = {};
+  for (var i = 0; list && i < list.length; i++) {
+    if (list[i] && list[i][key]) keys[list[i][key]] = true;
+  }
+  return keys;
+}
+
+// ─── Rollback ─────────────────────────────────────────────────────────────────
+
+// Restores the memory to the snapshot taken at takenAt and records the
+// rollback as a new snapshot, so it can itself be undone. Snapshots are
+// looked up by taken_at rather than position because a merge landing while
+// the popup is open shifts the array. Resolves to null if the snapshot has
+// since been dropped. iteration_count keeps counting up so hop numbers in
+// provenance stay unique.
+function rollbackToSnapshot(conversationId, takenAt) {
+  return readTimeline(conversationId).then(function (snapshots) {
+    var snapshot = null;
+    for (var i = 0; i < snapshots.length; i++) {
+      if (snapshots[i].taken_at === takenAt) snapshot = snapshots[i];
+    }
+    if (!takenAt || !snapshot) return null;
+
+    return updateMemory(conversationId, function (current) {
+      var restored = migrateMemory(JSON.parse(JSON.stringify(snapshot.memory)));
+      restored.iteration_count = current.iteration_count;
+      restored.revision        = current.revision;
+      restored.updated_at      = new Date().toISOString();
+      return restored;
+    }).then(function (memory) {
+      return recordSnapshot(memory, { kind: "rollback" }).then(function () {
+        return memory;
+      });
+    });
+  });
+}
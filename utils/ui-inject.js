@@ -6,6 +6,13 @@
 // Provides:
 //   - Draggable bottom-right FAB (position persisted in chrome.storage.local)
 //   - Glassmorphism popover with tabbed "Ask AI" / "Replay" grid
+//   - "Ask all AIs" fan-out with a side-by-side results panel
+//   - "Consensus" fan-out reconciled by a chosen judge model
+//   - "Modes" tab: fact-check, write tests, explain, continue or red-team
+//     (utils/modes.js) with any model
+//   - Message picker overlay to send only chosen turns (roles kept)
+//   - "Project" tab to pick or create the active project workspace, and to
+//     link this chat to any stored memory
 //   - Live status feedback with morphing pill + spinner
 //   - Namespaced CSS (.dm-widget) to avoid host-site conflicts
 //
@@ -313,6 +320,236 @@ if (typeof DUPERMEM_CHAIN_CONV_ID === "undefined") {
     "  opacity: 0.7;",
     "}",
 
+    // ── Project panel ──
+    ".dm-project {",
+    "  padding: 10px 12px 14px;",
+    "}",
+    ".dm-project--hidden { display: none; }",
+    ".dm-project-select, .dm-project-input {",
+    "  width: 100%;",
+    "  height: 32px;",
+    "  padding: 0 8px;",
+    "  border-radius: 8px;",
+    "  border: 1px solid rgba(255,255,255,0.08);",
+    "  background: rgba(255,255,255,0.03);",
+    "  color: #d4d4d8;",
+    "  font-size: 12px;",
+    "  outline: none;",
+    "}",
+    ".dm-project-select option { background: #12121a; }",
+    ".dm-project-input:focus { border-color: rgba(167, 139, 250, 0.4); }",
+    ".dm-project-row {",
+    "  display: flex;",
+    "  gap: 6px;",
+    "  margin-top: 8px;",
+    "}",
+    ".dm-project-row .dm-vault-save {",
+    "  width: auto;",
+    "  margin-top: 0;",
+    "  padding: 0 12px;",
+    "}",
+    ".dm-project-hint {",
+    "  margin-top: 8px;",
+    "  color: #71717a;",
+    "  font-size: 11px;",
+    "}",
+    ".dm-project-label {",
+    "  margin: 14px 0 6px;",
+    "  color: #a1a1aa;",
+    "  font-size: 11px;",
+    "  font-weight: 600;",
+    "}",
+
+    // ── Ask-all pill (spans the grid) ──
+    ".dm-pill--wide {",
+    "  grid-column: 1 / -1;",
+    "  justify-content: center;",
+    "  background: rgba(139, 92, 246, 0.1);",
+    "  color: #c4b5fd;",
+    "}",
+    ".dm-pill--wide:hover {",
+    "  background: rgba(139, 92, 246, 0.18);",
+    "  color: #ddd6fe;",
+    "}",
+
+    // ── Consensus row (judge picker + button) ──
+    ".dm-consensus {",
+    "  grid-column: 1 / -1;",
+    "  display: flex;",
+    "  gap: 6px;",
+    "}",
+    ".dm-consensus .dm-pill--wide { flex: 1; }",
+    ".dm-judge-select {",
+    "  flex: 1;",
+    "  padding: 0 8px;",
+    "  border-radius: 10px;",
+    "  border: 1px solid rgba(255,255,255,0.06);",
+    "  background: rgba(255,255,255,0.03);",
+    "  color: #a1a1aa;",
+    "  font-size: 12px;",
+    "  outline: none;",
+    "}",
+    ".dm-judge-select option { background: #12121a; }",
+
+    // ── Mode picker (spans the grid) ──
+    ".dm-mode-select {",
+    "  grid-column: 1 / -1;",
+    "  height: 34px;",
+    "}",
+    ".dm-mode-hint {",
+    "  grid-column: 1 / -1;",
+    "  color: #71717a;",
+    "  font-size: 11px;",
+    "  margin-bottom: 2px;",
+    "}",
+
+    // ── Fan-out results panel ──
+    ".dm-results {",
+    "  position: fixed;",
+    "  left: 24px; right: 24px; bottom: 84px;",
+    "  max-height: 60vh;",
+    "  display: flex;",
+    "  flex-direction: column;",
+    "  border-radius: 16px;",
+    "  border: 1px solid rgba(255,255,255,0.08);",
+    "  background: rgba(18, 18, 26, 0.95);",
+    "  backdrop-filter: blur(20px);",
+    "  -webkit-backdrop-filter: blur(20px);",
+    "  box-shadow: 0 12px 40px rgba(0,0,0,0.45);",
+    "  z-index: 2147483646;",
+    "  animation: dm-fade-in 0.15s ease-out;",
+    "}",
+    ".dm-results-header {",
+    "  display: flex;",
+    "  align-items: center;",
+    "  justify-content: space-between;",
+    "  padding: 12px 16px;",
+    "  border-bottom: 1px solid rgba(255,255,255,0.06);",
+    "}",
+    ".dm-results-close {",
+    "  border: none;",
+    "  background: transparent;",
+    "  color: #71717a;",
+    "  font-size: 16px;",
+    "  cursor: pointer;",
+    "}",
+    ".dm-results-close:hover { color: #e4e4e7; }",
+    ".dm-results-cols {",
+    "  display: flex;",
+    "  gap: 10px;",
+    "  padding: 12px;",
+    "  overflow-x: auto;",
+    "  min-height: 0;",
+    "  flex: 1;",
+    "}",
+    ".dm-results-col {",
+    "  flex: 1 0 280px;",
+    "  display: flex;",
+    "  flex-direction: column;",
+    "  min-height: 0;",
+    "  border-radius: 10px;",
+    "  border: 1px solid rgba(255,255,255,0.06);",
+    "  background: rgba(255,255,255,0.03);",
+    "}",
+    ".dm-results-col-head {",
+    "  display: flex;",
+    "  align-items: center;",
+    "  gap: 8px;",
+    "  padding: 8px 10px;",
+    "  border-bottom: 1px solid rgba(255,255,255,0.06);",
+    "  color: #e4e4e7;",
+    "  font-size: 12px;",
+    "  font-weight: 600;",
+    "}",
+    ".dm-results-state {",
+    "  margin-left: auto;",
+    "  color: #71717a;",
+    "  font-size: 10.5px;",
+    "  font-weight: 500;",
+    "}",
+    ".dm-results-copy {",
+    "  padding: 2px 6px;",
+    "  border-radius: 4px;",
+    "  border: 1px solid rgba(255,255,255,0.06);",
+    "  background: transparent;",
+    "  color: #a1a1aa;",
+    "  font-size: 10.5px;",
+    "  cursor: pointer;",
+    "}",
+    ".dm-results-copy:hover { color: #e4e4e7; }",
+    ".dm-results-body {",
+    "  padding: 10px;",
+    "  overflow-y: auto;",
+    "  white-space: pre-wrap;",
+    "  color: #d4d4d8;",
+    "  font-size: 12.5px;",
+    "  line-height: 1.5;",
+    "}",
+
+    // ── Message picker (reuses the results panel frame) ──
+    ".dm-picker { left: auto; width: 460px; max-width: calc(100vw - 48px); }",
+    ".dm-picker-bar {",
+    "  display: flex;",
+    "  align-items: center;",
+    "  gap: 6px;",
+    "  padding: 8px 16px;",
+    "  border-bottom: 1px solid rgba(255,255,255,0.06);",
+    "}",
+    ".dm-picker-count {",
+    "  margin-left: auto;",
+    "  color: #71717a;",
+    "  font-size: 11px;",
+    "}",
+    ".dm-picker-list {",
+    "  flex: 1;",
+    "  min-height: 0;",
+    "  overflow-y: auto;",
+    "  padding: 6px 10px;",
+    "}",
+    ".dm-picker-row {",
+    "  display: flex;",
+    "  align-items: flex-start;",
+    "  gap: 8px;",
+    "  padding: 6px;",
+    "  border-radius: 8px;",
+    "  color: #d4d4d8;",
+    "  font-size: 12px;",
+    "  cursor: pointer;",
+    "  user-select: none;",
+    "}",
+    ".dm-picker-row:hover { background: rgba(255,255,255,0.04); }",
+    ".dm-picker-row input { margin-top: 2px; flex-shrink: 0; }",
+    ".dm-picker-role {",
+    "  flex-shrink: 0;",
+    "  width: 62px;",
+    "  padding-top: 1px;",
+    "  color: #a1a1aa;",
+    "  font-size: 10.5px;",
+    "  font-weight: 600;",
+    "  text-transform: uppercase;",
+    "}",
+    ".dm-picker-text {",
+    "  flex: 1;",
+    "  max-height: 4.2em;",
+    "  overflow: hidden;",
+    "  white-space: pre-wrap;",
+    "  word-break: break-word;",
+    "}",
+    ".dm-picker-code {",
+    "  flex-shrink: 0;",
+    "  color: #c4b5fd;",
+    "  font-size: 10.5px;",
+    "}",
+    ".dm-picker-foot {",
+    "  display: flex;",
+    "  gap: 6px;",
+    "  padding: 10px 16px;",
+    "  border-top: 1px solid rgba(255,255,255,0.06);",
+    "}",
+    ".dm-picker-foot .dm-judge-select { height: 34px; }",
+    ".dm-picker-foot .dm-pill--wide { flex: 1; }",
+    ".dm-popover-footer .dm-export-btn + .dm-export-btn { margin-top: 6px; }",
+
     // ── Toast ──
     ".dm-toast {",
     "  position: fixed;",
@@ -438,6 +675,20 @@ function dmSetStatus(status, detail) {
     return;
   }
 
+  // Background gave up on the transfer (timeout, tab closed, target error).
+  if (status === "failed") {
+    dmSetStatus("idle");
+    dmShowToast("Transfer failed" + (detail ? " \u2014 " + detail : ""), 5000);
+    return;
+  }
+
+  // The transfer went through but something after it did not (e.g. the
+  // memory could not be saved); leave the FAB as it is.
+  if (status === "warning") {
+    dmShowToast(detail, 6000);
+    return;
+  }
+
   fab.classList.add("dm-fab--loading");
   fab.disabled = true;
   fab.style.cursor = "default";
@@ -446,7 +697,7 @@ function dmSetStatus(status, detail) {
   var labels = {
     capturing: "Capturing\u2026",
     opening:   "Routing to " + (detail || "target") + "\u2026",
-    waiting:   "Waiting for response\u2026",
+    waiting:   detail ? "Waiting for " + detail + "\u2026" : "Waiting for response\u2026",
     done:      "Done \u2713",
   };
   if (iconEl) iconEl.textContent = "";
@@ -457,6 +708,8 @@ function dmSetStatus(status, detail) {
     if (spinEl) spinEl.style.display = "none";
     if (DM_STATUS_TIMEOUT) clearTimeout(DM_STATUS_TIMEOUT);
     DM_STATUS_TIMEOUT = setTimeout(function () { dmSetStatus("idle"); }, 2000);
+    // e.g. a mode whose reply stays in the target tab
+    if (detail) dmShowToast(detail, 4000);
   }
 }
 
@@ -597,16 +850,30 @@ function dmSwitchTab(tabId) {
       vault.classList.add("dm-vault--hidden");
     }
   }
+
+  // Toggle project panel
+  var project = popover.querySelector(".dm-project");
+  if (project) {
+    if (tabId === "project") {
+      project.classList.remove("dm-project--hidden");
+      dmLoadProjects();
+      dmLoadLinks();
+    } else {
+      project.classList.add("dm-project--hidden");
+    }
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // HANDLERS — wired to the content script's capture/replay functions
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function handleModelSelect(e) {
-  if (DM_UI_LOCKED) return;
-  var modelKey = e.currentTarget.dataset.modelKey;
-
+// Shared by every transcript transfer: closes the popover, locks the UI,
+// shows "Capturing" for at most timeoutMs, then sends the message
+// buildMessage(transcript) returns. Status updates from the background
+// take it from there. getTranscript defaults to the whole thread
+// (captureConversationText); the message picker passes the picked turns.
+function dmSendCapture(timeoutMs, buildMessage, getTranscript) {
   // Close popover + lock UI
   var popover = document.getElementById(DUPERMEM_DROPDOWN_ID);
   if (popover) popover.classList.remove("dm-popover--open");
@@ -616,25 +883,17 @@ function handleModelSelect(e) {
   if (DM_STATUS_TIMEOUT) clearTimeout(DM_STATUS_TIMEOUT);
   DM_STATUS_TIMEOUT = setTimeout(function () {
     dmSetStatus("idle");
-  }, 120000);
+  }, timeoutMs);
 
   try {
-    var transcript = captureConversationText();
+    var transcript = (getTranscript || captureConversationText)();
     if (!transcript || transcript.length < 20) {
       dmSetStatus("idle");
       dmShowToast("No conversation found", 3000);
       return;
     }
 
-    var conversationId = DUPERMEM_CHAIN_CONV_ID || getConversationId();
-
-    chrome.runtime.sendMessage({
-      type:           "CAPTURE",
-      transcript:     transcript,
-      targetModel:    modelKey,
-      sourceModel:    DUPERMEM_SOURCE_MODEL,
-      conversationId: conversationId,
-    });
+    chrome.runtime.sendMessage(buildMessage(transcript));
 
   } catch (err) {
     console.error("[DuperMemory]", err);
@@ -648,6 +907,90 @@ function handleModelSelect(e) {
   }
 }
 
+function handleModelSelect(e) {
+  if (DM_UI_LOCKED) return;
+  var modelKey = e.currentTarget.dataset.modelKey;
+
+  dmSendCapture(120000, function (transcript) {
+    return {
+      type:           "CAPTURE",
+      transcript:     transcript,
+      targetModel:    modelKey,
+      sourceModel:    DUPERMEM_SOURCE_MODEL,
+      conversationId: DUPERMEM_CHAIN_CONV_ID || getConversationId(),
+    };
+  });
+}
+
+// Fan-out: sends the same transcript to every model in the grid. Replies come
+// back as FANOUT_RESULTS and are shown side by side in the results panel.
+function handleAskAllSelect() {
+  if (DM_UI_LOCKED) return;
+  if (DM_MODEL_LIST.length === 0) return;
+
+  var keys = [];
+  for (var i = 0; i < DM_MODEL_LIST.length; i++) keys.push(DM_MODEL_LIST[i].key);
+
+  dmSendCapture(180000, function (transcript) {
+    return {
+      type:           "CAPTURE_ALL",
+      transcript:     transcript,
+      targetModels:   keys,
+      sourceModel:    DUPERMEM_SOURCE_MODEL,
+      conversationId: DUPERMEM_CHAIN_CONV_ID || getConversationId(),
+    };
+  });
+}
+
+// Consensus: same fan-out as "Ask all", minus the judge, whose reconciled
+// critique comes back as a single INJECT_CRITIQUE.
+function handleConsensusSelect() {
+  if (DM_UI_LOCKED) return;
+  var select = document.getElementById("dm-judge-select");
+  var judgeKey = select && select.value;
+  if (!judgeKey) return;
+
+  var targets = [];
+  for (var i = 0; i < DM_MODEL_LIST.length; i++) {
+    if (DM_MODEL_LIST[i].key !== judgeKey) targets.push(DM_MODEL_LIST[i].key);
+  }
+  if (targets.length === 0) {
+    dmShowToast("Consensus needs at least one model besides the judge", 3000);
+    return;
+  }
+
+  dmSendCapture(300000, function (transcript) {
+    return {
+      type:           "CAPTURE_CONSENSUS",
+      transcript:     transcript,
+      targetModels:   targets,
+      judgeModel:     judgeKey,
+      sourceModel:    DUPERMEM_SOURCE_MODEL,
+      conversationId: DUPERMEM_CHAIN_CONV_ID || getConversationId(),
+    };
+  });
+}
+
+// Runs the mode picked in the Modes tab against the clicked model.
+function handleModeSelect(e) {
+  if (DM_UI_LOCKED) return;
+  var modelKey = e.currentTarget.dataset.modelKey;
+  var select = document.getElementById("dm-mode-select");
+  var modeKey = select && select.value;
+  if (!modeKey) return;
+
+  dmSendCapture(120000, function (transcript) {
+    return {
+      type:           "RUN_MODE",
+      mode:           modeKey,
+      transcript:     transcript,
+      targetModel:    modelKey,
+      sourceModel:    DUPERMEM_SOURCE_MODEL,
+      conversationId: DUPERMEM_CHAIN_CONV_ID || getConversationId(),
+    };
+  });
+}
+
 function handleReplaySelect(e) {
   if (DM_UI_LOCKED) return;
   var modelKey = e.currentTarget.dataset.modelKey;
@@ -682,6 +1025,106 @@ function handleReplaySelect(e) {
   });
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// FAN-OUT RESULTS PANEL — one column per target model
+// ═══════════════════════════════════════════════════════════════════════════════
+
+var DM_RESULT_STATE_LABELS = {
+  opening: "Opening\u2026",
+  waiting: "Thinking\u2026",
+  done:    "Done",
+  failed:  "Failed",
+};
+
+function dmRenderFanOutResults(fanOutId, results) {
+  var panel = document.getElementById("dm-results");
+  if (!panel || panel.dataset.fanOutId !== fanOutId) {
+    if (panel) panel.remove();
+    panel = dmCreateResultsPanel(fanOutId);
+  }
+
+  var cols = panel.querySelector(".dm-results-cols");
+  cols.innerHTML = "";
+
+  for (var i = 0; i < results.length; i++) {
+    cols.appendChild(dmCreateResultColumn(results[i]));
+  }
+}
+
+function dmCreateResultsPanel(fanOutId) {
+  var panel = document.createElement("div");
+  panel.id = "dm-results";
+  panel.dataset.fanOutId = fanOutId;
+  panel.classList.add("dm-widget", "dm-results");
+
+  var header = document.createElement("div");
+  header.classList.add("dm-results-header");
+
+  var title = document.createElement("span");
+  title.classList.add("dm-popover-title");
+  title.textContent = "ANSWERS SIDE BY SIDE";
+
+  var close = document.createElement("button");
+  close.classList.add("dm-results-close");
+  close.textContent = "\u00D7";
+  close.addEventListener("click", function () { panel.remove(); });
+
+  header.appendChild(title);
+  header.appendChild(close);
+
+  var cols = document.createElement("div");
+  cols.classList.add("dm-results-cols");
+
+  panel.appendChild(header);
+  panel.appendChild(cols);
+  document.body.appendChild(panel);
+  return panel;
+}
+
+function dmCreateResultColumn(result) {
+  var col = document.createElement("div");
+  col.classList.add("dm-results-col");
+
+  var head = document.createElement("div");
+  head.classList.add("dm-results-col-head");
+
+  var dot = document.createElement("span");
+  dot.classList.add("dm-dot");
+  dot.style.background = DM_DOT_COLORS[result.key] || "#888";
+
+  var name = document.createElement("span");
+  name.textContent = result.name;
+
+  var state = document.createElement("span");
+  state.classList.add("dm-results-state");
+  state.textContent = DM_RESULT_STATE_LABELS[result.status] || result.status;
+
+  head.appendChild(dot);
+  head.appendChild(name);
+  head.appendChild(state);
+
+  if (result.reply) {
+    var copy = document.createElement("button");
+    copy.classList.add("dm-results-copy");
+    copy.textContent = "Copy";
+    copy.addEventListener("click", function () {
+      navigator.clipboard.writeText(result.reply).then(function () {
+        copy.textContent = "Copied";
+        setTimeout(function () { copy.textContent = "Copy"; }, 1500);
+      });
+    });
+    head.appendChild(copy);
+  }
+
+  var body = document.createElement("div");
+  body.classList.add("dm-results-body");
+  body.textContent = result.reply || "";
+
+  col.appendChild(head);
+  col.appendChild(body);
+  return col;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // VAULT HANDLERS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -720,6 +1163,335 @@ function dmSaveVault() {
   });
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROJECT PANEL — active project workspace (utils/projects.js, via background)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function dmLoadProjects() {
+  chrome.runtime.sendMessage({ type: "PROJECTS_GET" }, function (response) {
+    if (chrome.runtime.lastError || !response) return;
+    if (response.error) {
+      dmShowToast("Could not load projects: " + response.error, 3000);
+      return;
+    }
+    var select = document.getElementById("dm-project-select");
+    if (!select) return;
+
+    select.innerHTML = "";
+    var none = document.createElement("option");
+    none.value = "";
+    none.textContent = "No project \u2014 this chat's own memory";
+    select.appendChild(none);
+
+    for (var i = 0; i < response.projects.length; i++) {
+      var project = response.projects[i];
+      var opt = document.createElement("option");
+      opt.value = project.id;
+      opt.textContent = project.name + " \u00b7 " + project.count + " chat" + (project.count === 1 ? "" : "s");
+      select.appendChild(opt);
+    }
+    select.value = response.activeId || "";
+  });
+}
+
+function dmSelectProject() {
+  var select = document.getElementById("dm-project-select");
+  if (!select) return;
+  chrome.runtime.sendMessage({ type: "PROJECT_SELECT", projectId: select.value || null }, function (response) {
+    if (chrome.runtime.lastError || !response) return;
+    if (response.error) {
+      dmShowToast("Could not switch project: " + response.error, 3000);
+      dmLoadProjects();
+      return;
+    }
+    dmShowToast(select.value ? "Captures now use the project memory" : "Captures use this chat's own memory", 2500);
+  });
+}
+
+function dmCreateProject() {
+  var input = document.getElementById("dm-project-name");
+  if (!input || !input.value.trim()) return;
+  chrome.runtime.sendMessage({ type: "PROJECT_CREATE", name: input.value.trim() }, function (response) {
+    if (chrome.runtime.lastError || !response) return;
+    if (response.error) {
+      dmShowToast("Could not create the project: " + response.error, 3000);
+      return;
+    }
+    if (!response.id) return;
+    input.value = "";
+    dmLoadProjects();
+    dmShowToast("Project created and active", 2500);
+  });
+}
+
+// The ID a link is stored under: the one every capture path sends. Null on
+// a chat whose URL has no thread ID yet (e.g. an unsaved "new chat"), where
+// getConversationId() makes up a fresh "conv_<time>" ID on every call.
+function dmLinkConversationId() {
+  if (DUPERMEM_CHAIN_CONV_ID) return DUPERMEM_CHAIN_CONV_ID;
+  var conversationId = getConversationId();
+  return /(^|_)conv_\d+$/.test(conversationId) ? null : conversationId;
+}
+
+// Fills the link picker with every other stored memory.
+function dmLoadLinks() {
+  var select = document.getElementById("dm-link-select");
+  var conversationId = dmLinkConversationId();
+  if (!conversationId) {
+    if (!select) return;
+    select.innerHTML = "";
+    var unsaved = document.createElement("option");
+    unsaved.value = "";
+    unsaved.textContent = "Send a message first \u2014 this chat has no ID yet";
+    select.appendChild(unsaved);
+    select.disabled = true;
+    return;
+  }
+  chrome.runtime.sendMessage({ type: "LINK_OPTIONS", conversationId: conversationId }, function (response) {
+    if (chrome.runtime.lastError || !response) return;
+    if (response.error) {
+      dmShowToast("Could not load memories to link: " + response.error, 3000);
+      return;
+    }
+    var select = document.getElementById("dm-link-select");
+    if (!select) return;
+
+    select.innerHTML = "";
+    select.disabled = false;
+    var none = document.createElement("option");
+    none.value = "";
+    none.textContent = "Not linked \u2014 this chat's own memory";
+    select.appendChild(none);
+
+    for (var i = 0; i < response.memories.length; i++) {
+      var memory = response.memories[i];
+      var topic = memory.topic || memory.id;
+      var opt = document.createElement("option");
+      opt.value = memory.id;
+      opt.textContent = topic.length > 60 ? topic.slice(0, 57) + "..." : topic;
+      select.appendChild(opt);
+    }
+    select.value = response.linkedTo || "";
+  });
+}
+
+function dmSelectLink() {
+  var select = document.getElementById("dm-link-select");
+  var conversationId = dmLinkConversationId();
+  if (!select || !conversationId) return;
+  chrome.runtime.sendMessage({
+    type:           "LINK_SET",
+    conversationId: conversationId,
+    memoryId:       select.value || null,
+  }, function (response) {
+    if (chrome.runtime.lastError || !response) return;
+    if (!response.ok) {
+      dmShowToast(response.error ? "Could not link: " + response.error : "That memory already links back to this chat", 3000);
+      dmLoadLinks();
+      return;
+    }
+    dmShowToast(select.value ? "This chat now reads and updates the linked memory" : "This chat uses its own memory again", 2500);
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MESSAGE PICKER — send only chosen turns, with their roles
+// ═══════════════════════════════════════════════════════════════════════════════
+
+var DM_PICKER_LAST_INDEX = null;
+
+function dmOpenMessagePicker() {
+  var popover = document.getElementById(DUPERMEM_DROPDOWN_ID);
+  if (popover) popover.classList.remove("dm-popover--open");
+
+  var messages = captureMessages();
+  if (messages.length === 0) {
+    dmShowToast("No conversation found", 3000);
+    return;
+  }
+
+  var old = document.getElementById("dm-picker");
+  if (old) old.remove();
+  DM_PICKER_LAST_INDEX = null;
+
+  var panel = document.createElement("div");
+  panel.id = "dm-picker";
+  panel.classList.add("dm-widget", "dm-results", "dm-picker");
+
+  // Header
+  var header = document.createElement("div");
+  header.classList.add("dm-results-header");
+  var title = document.createElement("span");
+  title.classList.add("dm-popover-title");
+  title.textContent = "SEND SELECTED MESSAGES";
+  var close = document.createElement("button");
+  close.classList.add("dm-results-close");
+  close.textContent = "\u00D7";
+  close.addEventListener("click", function () { panel.remove(); });
+  header.appendChild(title);
+  header.appendChild(close);
+
+  // Quick selections + count
+  var bar = document.createElement("div");
+  bar.classList.add("dm-picker-bar");
+  var count = document.createElement("span");
+  count.classList.add("dm-picker-count");
+  var quick = [
+    { label: "Last 3", from: Math.max(messages.length - 3, 0), to: messages.length },
+    { label: "All",    from: 0,                                to: messages.length },
+    { label: "None",   from: 0,                                to: 0 },
+  ];
+  for (var q = 0; q < quick.length; q++) {
+    bar.appendChild(dmCreatePickerQuick(panel, quick[q]));
+  }
+  bar.appendChild(count);
+
+  // One row per turn
+  var list = document.createElement("div");
+  list.classList.add("dm-picker-list");
+  for (var i = 0; i < messages.length; i++) {
+    list.appendChild(dmCreatePickerRow(panel, messages[i], i));
+  }
+
+  // Target + action
+  var foot = document.createElement("div");
+  foot.classList.add("dm-picker-foot");
+
+  var action = document.createElement("select");
+  action.classList.add("dm-widget", "dm-judge-select");
+  action.innerHTML = '<option value="ask">Ask</option><option value="replay">Replay</option>';
+
+  var target = document.createElement("select");
+  target.classList.add("dm-widget", "dm-judge-select");
+  for (var m = 0; m < DM_MODEL_LIST.length; m++) {
+    var opt = document.createElement("option");
+    opt.value = DM_MODEL_LIST[m].key;
+    opt.textContent = DM_MODEL_LIST[m].name;
+    target.appendChild(opt);
+  }
+
+  var send = document.createElement("button");
+  send.classList.add("dm-widget", "dm-pill", "dm-pill--wide");
+  send.textContent = "Send";
+  send.addEventListener("click", function () {
+    var picked = [];
+    var boxes = list.querySelectorAll("input");
+    for (var b = 0; b < boxes.length; b++) {
+      if (boxes[b].checked) picked.push(messages[b]);
+    }
+    if (picked.length === 0 || !target.value) return;
+    panel.remove();
+    dmSendPickedMessages(picked, action.value, target.value);
+  });
+
+  foot.appendChild(action);
+  foot.appendChild(target);
+  foot.appendChild(send);
+
+  panel.appendChild(header);
+  panel.appendChild(bar);
+  panel.appendChild(list);
+  panel.appendChild(foot);
+  document.body.appendChild(panel);
+
+  // Start with the last three turns, the most common pick.
+  dmPickerSelectRange(panel, quick[0].from, quick[0].to);
+}
+
+function dmCreatePickerQuick(panel, range) {
+  var btn = document.createElement("button");
+  btn.classList.add("dm-results-copy");
+  btn.textContent = range.label;
+  btn.addEventListener("click", function () {
+    dmPickerSelectRange(panel, range.from, range.to);
+  });
+  return btn;
+}
+
+// Shift-click checks or unchecks every row between the last clicked row and
+// this one.
+function dmCreatePickerRow(panel, message, index) {
+  var row = document.createElement("div");
+  row.classList.add("dm-picker-row");
+
+  var box = document.createElement("input");
+  box.type = "checkbox";
+
+  var role = document.createElement("span");
+  role.classList.add("dm-picker-role");
+  role.textContent = message.role === "user" ? "You" : "Assistant";
+
+  var text = document.createElement("span");
+  text.classList.add("dm-picker-text");
+  var content = message.content || "";
+  text.textContent = content.length > 300 ? content.slice(0, 297) + "\u2026" : content;
+
+  row.appendChild(box);
+  row.appendChild(role);
+  row.appendChild(text);
+  if (content.indexOf("```") !== -1) {
+    var code = document.createElement("span");
+    code.classList.add("dm-picker-code");
+    code.textContent = "code";
+    row.appendChild(code);
+  }
+
+  row.addEventListener("click", function (e) {
+    if (e.target !== box) box.checked = !box.checked;
+    if (e.shiftKey && DM_PICKER_LAST_INDEX !== null) {
+      var boxes = panel.querySelectorAll(".dm-picker-list input");
+      var from = Math.min(DM_PICKER_LAST_INDEX, index);
+      var to = Math.max(DM_PICKER_LAST_INDEX, index);
+      for (var i = from; i <= to; i++) boxes[i].checked = box.checked;
+    }
+    DM_PICKER_LAST_INDEX = index;
+    dmPickerUpdateCount(panel);
+  });
+  return row;
+}
+
+// Checks rows from (inclusive) to to (exclusive) and unchecks the rest.
+function dmPickerSelectRange(panel, from, to) {
+  var boxes = panel.querySelectorAll(".dm-picker-list input");
+  for (var i = 0; i < boxes.length; i++) {
+    boxes[i].checked = i >= from && i < to;
+  }
+  DM_PICKER_LAST_INDEX = null;
+  dmPickerUpdateCount(panel);
+}
+
+function dmPickerUpdateCount(panel) {
+  var boxes = panel.querySelectorAll(".dm-picker-list input");
+  var checked = 0;
+  for (var i = 0; i < boxes.length; i++) {
+    if (boxes[i].checked) checked++;
+  }
+  panel.querySelector(".dm-picker-count").textContent = checked + " of " + boxes.length + " selected";
+}
+
+// Sends the picked turns as a capture (with memory) or a replay, exactly as
+// the Ask AI and Replay tabs send the whole thread.
+function dmSendPickedMessages(messages, action, modelKey) {
+  if (DM_UI_LOCKED) return;
+  var transcript = formatMessagesAsTranscript(messages);
+  if (!transcript || transcript.length < 20) {
+    dmShowToast("The selected messages are empty", 3000);
+    return;
+  }
+
+  dmSendCapture(120000, function (picked) {
+    return {
+      type:           action === "replay" ? "REPLAY_CONVERSATION" : "CAPTURE",
+      transcript:     picked,
+      targetModel:    modelKey,
+      sourceModel:    DUPERMEM_SOURCE_MODEL,
+      conversationId: DUPERMEM_CHAIN_CONV_ID || getConversationId(),
+    };
+  }, function () {
+    return transcript;
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // EXPORT HANDLER
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -879,6 +1651,12 @@ function injectButton() {
   tabReplay.textContent = "Replay";
   tabReplay.addEventListener("click", function () { dmSwitchTab("replay"); });
 
+  var tabModes = document.createElement("button");
+  tabModes.classList.add("dm-widget", "dm-tab");
+  tabModes.dataset.tab = "modes";
+  tabModes.textContent = "Modes";
+  tabModes.addEventListener("click", function () { dmSwitchTab("modes"); });
+
   tabBar.appendChild(tabAsk);
   var tabVault = document.createElement("button");
   tabVault.classList.add("dm-widget", "dm-tab");
@@ -886,8 +1664,16 @@ function injectButton() {
   tabVault.textContent = "Vault";
   tabVault.addEventListener("click", function () { dmSwitchTab("vault"); });
 
+  var tabProject = document.createElement("button");
+  tabProject.classList.add("dm-widget", "dm-tab");
+  tabProject.dataset.tab = "project";
+  tabProject.textContent = "Project";
+  tabProject.addEventListener("click", function () { dmSwitchTab("project"); });
+
   tabBar.appendChild(tabReplay);
+  tabBar.appendChild(tabModes);
   tabBar.appendChild(tabVault);
+  tabBar.appendChild(tabProject);
   popover.appendChild(tabBar);
 
   // Grids (filled after model list loads)
@@ -901,6 +1687,11 @@ function injectButton() {
   gridReplay.dataset.tab = "replay";
   popover.appendChild(gridReplay);
 
+  var gridModes = document.createElement("div");
+  gridModes.classList.add("dm-widget", "dm-grid", "dm-grid--hidden");
+  gridModes.dataset.tab = "modes";
+  popover.appendChild(gridModes);
+
   // Vault panel
   var vaultPanel = document.createElement("div");
   vaultPanel.classList.add("dm-widget", "dm-vault", "dm-vault--hidden");
@@ -921,6 +1712,59 @@ function injectButton() {
   vaultPanel.appendChild(vaultSave);
   popover.appendChild(vaultPanel);
 
+  // Project panel
+  var projectPanel = document.createElement("div");
+  projectPanel.classList.add("dm-widget", "dm-project", "dm-project--hidden");
+
+  var projectSelect = document.createElement("select");
+  projectSelect.id = "dm-project-select";
+  projectSelect.classList.add("dm-widget", "dm-project-select");
+  projectSelect.addEventListener("change", dmSelectProject);
+
+  var projectRow = document.createElement("div");
+  projectRow.classList.add("dm-project-row");
+
+  var projectName = document.createElement("input");
+  projectName.id = "dm-project-name";
+  projectName.classList.add("dm-widget", "dm-project-input");
+  projectName.placeholder = "New project name";
+  projectName.addEventListener("keydown", function (e) {
+    if (e.key === "Enter") dmCreateProject();
+  });
+
+  var projectCreate = document.createElement("button");
+  projectCreate.classList.add("dm-widget", "dm-vault-save");
+  projectCreate.textContent = "Create";
+  projectCreate.addEventListener("click", dmCreateProject);
+
+  var projectHint = document.createElement("div");
+  projectHint.classList.add("dm-project-hint");
+  projectHint.textContent = "While a project is active, every capture from any chat reads and updates the project's shared memory.";
+
+  projectRow.appendChild(projectName);
+  projectRow.appendChild(projectCreate);
+  projectPanel.appendChild(projectSelect);
+  projectPanel.appendChild(projectRow);
+  projectPanel.appendChild(projectHint);
+
+  var linkLabel = document.createElement("div");
+  linkLabel.classList.add("dm-project-label");
+  linkLabel.textContent = "Link this chat";
+
+  var linkSelect = document.createElement("select");
+  linkSelect.id = "dm-link-select";
+  linkSelect.classList.add("dm-widget", "dm-project-select");
+  linkSelect.addEventListener("change", dmSelectLink);
+
+  var linkHint = document.createElement("div");
+  linkHint.classList.add("dm-project-hint");
+  linkHint.textContent = "Captures from a linked chat read and update the chosen memory. Whatever this chat already knew is merged in once.";
+
+  projectPanel.appendChild(linkLabel);
+  projectPanel.appendChild(linkSelect);
+  projectPanel.appendChild(linkHint);
+  popover.appendChild(projectPanel);
+
   // Export footer
   var footer = document.createElement("div");
   footer.classList.add("dm-widget", "dm-popover-footer");
@@ -931,6 +1775,12 @@ function injectButton() {
   exportBtn.textContent = "Export Thread (.md)";
   exportBtn.addEventListener("click", handleExportThread);
 
+  var pickBtn = document.createElement("button");
+  pickBtn.classList.add("dm-widget", "dm-export-btn");
+  pickBtn.textContent = "Pick messages\u2026";
+  pickBtn.addEventListener("click", dmOpenMessagePicker);
+
+  footer.appendChild(pickBtn);
   footer.appendChild(exportBtn);
   popover.appendChild(footer);
 
@@ -965,7 +1815,7 @@ function injectButton() {
         console.warn("[DuperMemory] Could not load model list:", chrome.runtime.lastError);
         return;
       }
-      dmPopulateGrids(gridAsk, gridReplay, response.models);
+      dmPopulateGrids(gridAsk, gridReplay, gridModes, response.models);
     }
   );
 }
@@ -974,13 +1824,85 @@ function injectButton() {
 // POPULATE MODEL GRIDS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function dmPopulateGrids(gridAsk, gridReplay, models) {
+var DM_MODEL_LIST = [];
+
+function dmPopulateGrids(gridAsk, gridReplay, gridModes, models) {
+  DM_MODEL_LIST = models;
+  dmCreateModePicker(gridModes);
   for (var i = 0; i < models.length; i++) {
     gridAsk.appendChild(dmCreatePill(models[i], handleModelSelect));
     gridReplay.appendChild(dmCreatePill(models[i], handleReplaySelect));
+    gridModes.appendChild(dmCreatePill(models[i], handleModeSelect));
+  }
+
+  if (models.length > 1) {
+    var askAll = document.createElement("button");
+    askAll.classList.add("dm-widget", "dm-pill", "dm-pill--wide");
+    askAll.textContent = "Ask all AIs";
+    askAll.addEventListener("click", handleAskAllSelect);
+    gridAsk.appendChild(askAll);
+    gridAsk.appendChild(dmCreateConsensusRow(models));
   }
 }
 
+function dmCreateConsensusRow(models) {
+  var row = document.createElement("div");
+  row.classList.add("dm-consensus");
+
+  var select = document.createElement("select");
+  select.id = "dm-judge-select";
+  select.classList.add("dm-widget", "dm-judge-select");
+  select.title = "Judge model";
+  for (var i = 0; i < models.length; i++) {
+    var opt = document.createElement("option");
+    opt.value = models[i].key;
+    opt.textContent = "Judge: " + models[i].name;
+    select.appendChild(opt);
+  }
+
+  var btn = document.createElement("button");
+  btn.classList.add("dm-widget", "dm-pill", "dm-pill--wide");
+  btn.textContent = "Consensus";
+  btn.addEventListener("click", handleConsensusSelect);
+
+  row.appendChild(select);
+  row.appendChild(btn);
+  return row;
+}
+
+// Mode select + description at the top of the Modes grid, filled from the
+// background's mode list.
+function dmCreateModePicker(grid) {
+  var select = document.createElement("select");
+  select.id = "dm-mode-select";
+  select.classList.add("dm-widget", "dm-judge-select", "dm-mode-select");
+  select.title = "Mode";
+
+  var hint = document.createElement("div");
+  hint.classList.add("dm-mode-hint");
+
+  var descriptions = {};
+  select.addEventListener("change", function () {
+    hint.textContent = (descriptions[select.value] || "") + " \u2014 pick a model:";
+  });
+
+  grid.appendChild(select);
+  grid.appendChild(hint);
+
+  chrome.runtime.sendMessage({ type: "GET_MODES" }, function (response) {
+    if (chrome.runtime.lastError || !response || !response.modes) return;
+    for (var i = 0; i < response.modes.length; i++) {
+      var mode = response.modes[i];
+      descriptions[mode.key] = mode.description;
+      var opt = document.createElement("option");
+      opt.value = mode.key;
+      opt.textContent = mode.name;
+      select.appendChild(opt);
+    }
+    select.dispatchEvent(new Event("change"));
+  });
+}
+
 function dmCreatePill(model, handler) {
   var pill = document.createElement("button");
   pill.classList.add("dm-widget", "dm-pill");
@@ -1001,7 +1923,7 @@ function dmCreatePill(model, handler) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// MESSAGE LISTENER — status updates, toggle, critique
+// MESSAGE LISTENER — status updates, toggle, fan-out results
 // ═══════════════════════════════════════════════════════════════════════════════
 
 chrome.runtime.onMessage.addListener(function (message) {
@@ -1011,6 +1933,9 @@ chrome.runtime.onMessage.addListener(function (message) {
   if (message.type === "TOGGLE_DROPDOWN") {
     dmTogglePopover();
   }
+  if (message.type === "FANOUT_RESULTS") {
+    dmRenderFanOutResults(message.fanOutId, message.results || []);
+  }
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════